@@ -4,6 +4,18 @@
  */
 
 const SENTRY_API_BASE = 'https://sentry.io/api/0';
+// Region hosts used by sentry.io (e.g. de.sentry.io for EU organizations)
+const SENTRY_REGION_SUBDOMAINS = ['us', 'de'];
+// chrome.storage.local key holding the self-hosted Sentry base URL
+const STORAGE_KEY_BASE_URL = 'sentryBaseUrl';
+// chrome.storage.local key holding the optional Sentry auth token
+const STORAGE_KEY_AUTH_TOKEN = 'sentryAuthToken';
+// chrome.storage.local key holding how long cached span usage results are reused, in minutes
+const STORAGE_KEY_CACHE_TTL = 'cacheTtlMinutes';
+// Cache lifetime used until one is configured (keep in sync with background.js)
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+// chrome.storage.local key holding the span attributes grouped queries split by
+const STORAGE_KEY_GROUP_BY = 'groupByFields';
 
 /**
  * Extract organization slug from Sentry URL
@@ -30,7 +42,8 @@ function extractOrgSlug(url) {
     const hostname = urlObj.hostname;
     console.log('Hostname:', hostname);
     const subdomainMatch = hostname.match(/^([^.]+)\.sentry\.io$/);
-    if (subdomainMatch) {
+    // Region hosts (us.sentry.io, de.sentry.io) are not organization subdomains
+    if (subdomainMatch && !SENTRY_REGION_SUBDOMAINS.includes(subdomainMatch[1])) {
       const orgSlug = subdomainMatch[1];
       console.log('Found org slug from subdomain:', orgSlug);
       return orgSlug;
@@ -54,17 +67,144 @@ function extractOrgSlug(url) {
 }
 
 /**
- * Fetch projects for an organization
- * @param {string} orgSlug - Organization slug
- * @returns {Promise<Array>} - Array of project objects
+ * Extract the Sentry region URL from a Sentry tab URL
+ * @param {string} url - The current tab URL
+ * @returns {string|null} - Region URL (e.g. https://de.sentry.io) or null if the URL has no region
  */
-async function fetchProjects(orgSlug) {
-  return new Promise((resolve, reject) => {
+function extractRegionUrl(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    const regionMatch = hostname.match(/^([^.]+)\.sentry\.io$/);
+    if (regionMatch && SENTRY_REGION_SUBDOMAINS.includes(regionMatch[1])) {
+      console.log('Found region from hostname:', regionMatch[1]);
+      return `https://${hostname}`;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error extracting region:', error, url);
+    return null;
+  }
+}
+
+/**
+ * Get the configured self-hosted Sentry base URL
+ * @returns {Promise<string|null>} - Base URL, or null when using sentry.io
+ */
+async function getSentryBaseUrl() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_BASE_URL);
+  return stored[STORAGE_KEY_BASE_URL] || null;
+}
+
+/**
+ * Save a self-hosted Sentry base URL, requesting host permission for it
+ * Must be called from a user gesture so the permission prompt can be shown
+ * @param {string} baseUrl - Base URL (e.g. https://sentry.example.com), or empty to use sentry.io
+ * @returns {Promise<string|null>} - The normalized base URL that was saved, or null if cleared
+ */
+async function saveSentryBaseUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim();
+  if (!trimmed) {
+    await chrome.storage.local.remove(STORAGE_KEY_BASE_URL);
+    return null;
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(trimmed);
+  } catch (error) {
+    throw new Error(`Invalid Sentry URL: ${trimmed}`);
+  }
+  if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
+    throw new Error('Sentry URL must start with https:// or http://');
+  }
+
+  // Keep any path prefix (e.g. https://example.com/sentry) but drop trailing slashes
+  const normalized = `${urlObj.origin}${urlObj.pathname}`.replace(/\/+$/, '');
+
+  // sentry.io hosts are covered by the manifest host permissions
+  if (!/(^|\.)sentry\.io$/.test(urlObj.hostname)) {
+    const granted = await chrome.permissions.request({ origins: [`${urlObj.origin}/*`] });
+    if (!granted) {
+      throw new Error(`Permission to access ${urlObj.origin} was not granted`);
+    }
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY_BASE_URL]: normalized });
+  return normalized;
+}
+
+/**
+ * Get how long fetched span usage is cached before Sentry is queried again
+ * @returns {Promise<number>} - Cache lifetime in minutes (0 always refetches)
+ */
+async function getCacheTtlMinutes() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_CACHE_TTL);
+  const ttl = stored[STORAGE_KEY_CACHE_TTL];
+  return typeof ttl === 'number' && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_MINUTES;
+}
+
+/**
+ * Save how long fetched span usage is cached
+ * @param {number} minutes - Cache lifetime in minutes (0 always refetches; cached data is still used when Sentry is unreachable)
+ * @returns {Promise<number>} - The saved value
+ */
+async function saveCacheTtlMinutes(minutes) {
+  if (typeof minutes !== 'number' || isNaN(minutes) || minutes < 0) {
+    throw new Error('Cache duration must be 0 or more minutes');
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_CACHE_TTL]: minutes });
+  return minutes;
+}
+
+/**
+ * Get the span attributes fetched span groups are split by
+ * @returns {Promise<Array<string>|null>} - Attribute names, or null to group by every attribute
+ */
+async function getGroupByFields() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_GROUP_BY);
+  const fields = stored[STORAGE_KEY_GROUP_BY];
+  return Array.isArray(fields) && fields.length > 0 ? fields : null;
+}
+
+/**
+ * Save the span attributes fetched span groups are split by
+ * @param {Array<string>} fields - Attribute names (e.g. ['span.op', 'transaction', 'environment'])
+ * @returns {Promise<Array<string>>} - The saved attributes
+ */
+async function saveGroupByFields(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error('Select at least one attribute to group span data by');
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_GROUP_BY]: fields });
+  return fields;
+}
+
+/**
+ * Get the active authentication mode
+ * @returns {Promise<string>} - 'token' when an auth token is stored, otherwise 'session'
+ */
+async function getAuthMode() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_AUTH_TOKEN);
+  return stored[STORAGE_KEY_AUTH_TOKEN] ? 'token' : 'session';
+}
+
+/**
+ * Validate and store a Sentry auth token, switching requests to Bearer authentication
+ * @param {string} authToken - Sentry auth token
+ * @returns {Promise<Array<string>>} - Scopes granted to the token
+ */
+async function saveAuthToken(authToken) {
+  const token = (authToken || '').trim();
+  if (!token) {
+    throw new Error('Please enter an auth token');
+  }
+
+  const scopes = await new Promise((resolve, reject) => {
     try {
       chrome.runtime.sendMessage(
         {
-          action: 'fetchProjects',
-          orgSlug: orgSlug,
+          action: 'validateAuthToken',
+          authToken: token,
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -78,7 +218,7 @@ async function fetchProjects(orgSlug) {
           }
           
           if (response.success) {
-            resolve(response.data);
+            resolve(response.data.scopes);
           } else {
             reject(new Error(response.error || 'Unknown error occurred'));
           }
@@ -88,51 +228,44 @@ async function fetchProjects(orgSlug) {
       reject(new Error(`Failed to send message to background script: ${error.message}`));
     }
   });
+
+  await chrome.storage.local.set({ [STORAGE_KEY_AUTH_TOKEN]: token });
+  return scopes;
 }
 
 /**
- * Fetch span usage data from Sentry Discover API
- * This function sends a message to the background script which handles the actual API call
- * Uses browser session cookies for authentication
+ * Remove the stored auth token, switching back to browser session cookies
+ */
+async function clearAuthToken() {
+  await chrome.storage.local.remove(STORAGE_KEY_AUTH_TOKEN);
+}
+
+/**
+ * Fetch projects for an organization
  * @param {string} orgSlug - Organization slug
- * @param {number} days - Number of days to query
- * @param {string} projectSlug - Optional project slug to filter by
- * @param {string} projectId - Optional project ID to filter by
- * @returns {Promise<Array>} - Array of span data objects
+ * @returns {Promise<Array>} - Array of project objects
  */
-async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = null) {
+async function fetchProjects(orgSlug) {
   return new Promise((resolve, reject) => {
     try {
       chrome.runtime.sendMessage(
         {
-          action: 'fetchSpanUsage',
+          action: 'fetchProjects',
           orgSlug: orgSlug,
-          days: days,
-          projectSlug: projectSlug,
-          projectId: projectId,
         },
         (response) => {
-          // Check for runtime errors first
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
             return;
           }
           
-          // Check if response exists
           if (!response) {
             reject(new Error('No response from background script. Please reload the extension and try again.'));
             return;
           }
           
           if (response.success) {
-            const spans = response.data;
-            // Attach totalCount from response to the spans array
-            // This ensures it survives even if the array property was lost during serialization
-            if (response.totalCount !== null && response.totalCount !== undefined) {
-              spans._totalCountFromMeta = response.totalCount;
-              console.log('Attached totalCount to spans array:', response.totalCount.toLocaleString());
-            }
-            resolve(spans);
+            resolve(response.data);
           } else {
             reject(new Error(response.error || 'Unknown error occurred'));
           }
@@ -144,11 +277,153 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
   });
 }
 
+/**
+ * Fetch span usage data from Sentry Discover API
+ * The background script makes the API calls over a long-lived port, streaming progress until the data is ready
+ * Uses browser session cookies for authentication
+ * Results are cached per organization, projects, period, query and grouping; the returned array carries
+ * _fetchedAt (ms), _fromCache, _fetchError (set when Sentry was unreachable and cached data was used)
+ * and _groupBy (the span attributes the groups were split by; null when grouped by every attribute)
+ * @param {string} orgSlug - Organization slug
+ * @param {number} days - Number of days to query
+ * @param {string} projectSlug - Optional project slug to filter by
+ * @param {string} projectId - Optional project ID to filter by
+ * @param {Object} options - Optional fetch options (e.g. { maxGroups: 1000, regionUrl: 'https://de.sentry.io' });
+ *   pass { statsPeriod } for a relative period or { start, end } (ISO 8601) for an absolute range
+ *   and { projectIds } to query several projects together; { query } is a Sentry span search query scoping the data,
+ *   { groupBy } lists the span attributes to group by (default: all), { stratifyBy } fetches the groups within each
+ *   top value of an attribute (e.g. 'span.op') with a remainder row per value, and { forceRefresh: true } skips the cache
+ * @param {AbortSignal} options.signal - Cancels the fetch; the promise then rejects with an error named 'AbortError'
+ * @param {Function} options.onProgress - Called with progress events: { stage: 'cached', fetchedAt },
+ *   { stage: 'totalCount', totalCount }, { stage: 'groups', page, maxPages, groupCount } (or, when stratified,
+ *   { stage: 'strata', strataCount } and { stage: 'stratum', completed, total, groupCount }) and { stage: 'sampleRates' }
+ * @param {Function} options.onSampleRates - When set, current sample rates are fetched after the span data and
+ *   passed to this callback as (result, null), or (null, errorMessage) if they couldn't be fetched
+ * @returns {Promise<Array>} - Array of span data objects, resolved before the sample rates arrive
+ */
+async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
+  const { signal, onProgress, onSampleRates, ...fetchOptions } = options;
+  
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      const error = new Error('Fetch cancelled');
+      error.name = 'AbortError';
+      reject(error);
+      return;
+    }
+    
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: 'fetchSpanUsage' });
+    } catch (error) {
+      reject(new Error(`Failed to connect to background script: ${error.message}`));
+      return;
+    }
+    
+    let settled = false;
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    };
+    
+    // Disconnecting aborts the background requests, including sample rates still loading after the data resolved
+    const handleAbort = () => {
+      port.disconnect();
+      const error = new Error('Fetch cancelled');
+      error.name = 'AbortError';
+      fail(error);
+    };
+    if (signal) {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+    const finish = () => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      port.disconnect();
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'progress') {
+        if (onProgress) {
+          const { type, ...progress } = message;
+          onProgress(progress);
+        }
+      } else if (message.type === 'result') {
+        const spans = message.data;
+        // Attach totalCount from the message to the spans array
+        // This ensures it survives even if the array property was lost during serialization
+        if (message.totalCount !== null && message.totalCount !== undefined) {
+          spans._totalCountFromMeta = message.totalCount;
+          console.log('Attached totalCount to spans array:', message.totalCount.toLocaleString());
+        }
+        // Flag whether more groups exist beyond the configured cap
+        spans._hasMoreGroups = !!message.hasMoreGroups;
+        spans._fetchedAt = message.fetchedAt;
+        spans._fromCache = !!message.fromCache;
+        spans._fetchError = message.fetchError || null;
+        // Results cached before grouping was configurable have no groupBy and were grouped by every attribute
+        spans._groupBy = message.groupBy || null;
+        settled = true;
+        resolve(spans);
+        if (!onSampleRates) {
+          finish();
+        }
+      } else if (message.type === 'sampleRates') {
+        if (onSampleRates) {
+          onSampleRates(message.error ? null : message.data, message.error || null);
+        }
+      } else if (message.type === 'done') {
+        finish();
+      } else if (message.type === 'error') {
+        const error = new Error(message.error || 'Unknown error occurred');
+        if (message.cancelled) {
+          error.name = 'AbortError';
+        }
+        finish();
+        fail(error);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      fail(new Error('The background script stopped before the fetch finished. Please reload the extension and try again.'));
+    });
+    
+    port.postMessage({
+      action: 'start',
+      orgSlug: orgSlug,
+      days: days,
+      projectSlug: projectSlug,
+      projectId: projectId,
+      options: fetchOptions,
+      includeSampleRates: !!onSampleRates,
+    });
+  });
+}
+
+/**
+ * Listen for background requests that are waiting to retry (rate limits, gateway or network errors)
+ * @param {Function} callback - Called with { label, reason, waitMs, attempt, maxAttempts }
+ */
+function onFetchWaitStatus(callback) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === 'fetchWaitStatus') {
+      callback(message);
+    }
+  });
+}
+
 /**
  * Find a Sentry tab in all open tabs
  * @returns {Promise<string>} - The URL of a Sentry tab
  */
 async function findSentryTab() {
+  // Self-hosted installs are matched by the configured base URL
+  const baseUrl = await getSentryBaseUrl();
+  const sentryHost = baseUrl ? new URL(baseUrl).host.toLowerCase() : 'sentry.io';
+  
   return new Promise((resolve, reject) => {
     chrome.tabs.query({}, (tabs) => {
       if (chrome.runtime.lastError) {
@@ -156,11 +431,11 @@ async function findSentryTab() {
         return;
       }
       
-      // Look for any tab with sentry.io in the URL (more flexible matching)
+      // Look for any tab with the Sentry host in the URL (more flexible matching)
       const sentryTab = tabs.find(tab => {
         if (!tab.url) return false;
         const url = tab.url.toLowerCase();
-        return url.includes('sentry.io');
+        return url.includes(sentryHost);
       });
       
       if (sentryTab && sentryTab.url) {
@@ -194,15 +469,29 @@ async function getOrgSlugFromCurrentTab() {
   }
 }
 
+/**
+ * Get the Sentry region URL from any Sentry tab
+ * @returns {Promise<string|null>} - Region URL, or null if no tab URL carries region information
+ */
+async function getRegionUrlFromCurrentTab() {
+  try {
+    const url = await findSentryTab();
+    return extractRegionUrl(url);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Fetch current sample rates breakdown from Sentry
  * @param {string} orgSlug - Organization slug
  * @param {number} days - Number of days to query
  * @param {string} projectSlug - Optional project slug to filter by
  * @param {string} projectId - Optional project ID to filter by
+ * @param {Object} options - Optional fetch options (e.g. { regionUrl: 'https://de.sentry.io' }), plus the same time range options as fetchSpanUsage
  * @returns {Promise<Object>} - Object with sampleRates array and totalCount
  */
-async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = null) {
+async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
   return new Promise((resolve, reject) => {
     try {
       chrome.runtime.sendMessage(
@@ -212,6 +501,7 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
           days: days,
           projectSlug: projectSlug,
           projectId: projectId,
+          options: options,
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -237,3 +527,85 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
   });
 }
 
+
+/**
+ * Fetch span counts over time (daily, or hourly for short periods) split by span.op
+ * @param {string} orgSlug - Organization slug
+ * @param {number} days - Number of days to look back
+ * @param {string} projectSlug - Optional project slug
+ * @param {string} projectId - Optional project ID
+ * @param {Object} options - { regionUrl, topEvents, statsPeriod, start, end, projectIds, signal }
+ * @returns {Promise<Object>} - { interval, groupBy, series: [{ group, isOther, points: [{ timestamp, count }] }] }
+ */
+async function fetchSpanTimeSeries(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
+  const { signal, ...fetchOptions } = options;
+  
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      const error = new Error('Fetch cancelled');
+      error.name = 'AbortError';
+      reject(error);
+      return;
+    }
+    
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: 'fetchSpanTimeSeries' });
+    } catch (error) {
+      reject(new Error(`Failed to connect to background script: ${error.message}`));
+      return;
+    }
+    
+    let settled = false;
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    };
+    
+    // Disconnecting aborts the background request
+    const handleAbort = () => {
+      port.disconnect();
+      const error = new Error('Fetch cancelled');
+      error.name = 'AbortError';
+      fail(error);
+    };
+    if (signal) {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+    const finish = () => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      port.disconnect();
+    };
+    
+    port.onMessage.addListener((message) => {
+      finish();
+      if (message.type === 'result') {
+        settled = true;
+        resolve(message.data);
+      } else {
+        const error = new Error(message.error || 'Unknown error occurred');
+        if (message.cancelled) {
+          error.name = 'AbortError';
+        }
+        fail(error);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      fail(new Error('The background script stopped before the fetch finished. Please reload the extension and try again.'));
+    });
+    
+    port.postMessage({
+      action: 'start',
+      orgSlug: orgSlug,
+      days: days,
+      projectSlug: projectSlug,
+      projectId: projectId,
+      options: fetchOptions,
+    });
+  });
+}
@@ -7,33 +7,138 @@
 let currentSpanData = null;
 let rules = [];
 let currentDays = 30; // Track current query period for monthly calculations
+let currentTimeRange = { days: 30, label: 'Last 30 days', slug: '30d' }; // Time range of the fetched data (see getSelectedTimeRange)
+let currentRegionUrl = null; // Region detected from the Sentry tab (e.g. https://de.sentry.io)
+let draggedRuleId = null; // Rule currently being dragged to a new priority
+let pricingConfig = getDefaultPricingConfig();
+let lastResult = null; // Most recent simulation result, re-priced when pricing settings change
+let scenarios = []; // Saved scenarios shown in the scenario picker
+let comparisonRuns = []; // Results of the last scenario comparison: [{ name, result, costs }]
+let projectOptions = []; // Projects of the current organization: [{ id, slug, name }]
+let selectedProjectIds = new Set(); // IDs of the checked projects; empty means all projects
+let currentProjects = []; // Projects the fetched data was queried for (empty for all projects)
+let currentSpanQuery = ''; // Sentry search query the fetched data was scoped to
+let currentTimeSeries = null; // Span counts over time for the fetched period, from fetchSpanTimeSeries
+let currentDataFetchedAt = null; // When the current span data was fetched from Sentry (ms), possibly from the cache
+let currentGroupBy = null; // Span attributes the fetched data was grouped by (null for all)
+let fetchWaitStatusTimer = null; // Hides the retry wait status once the wait is over
+let fetchAbortController = null; // Cancels the running span data fetch (and its sample rates)
 
 // DOM Elements
 const dateRangeSelect = document.getElementById('date-range');
+const customPeriodGroup = document.getElementById('custom-period-group');
+const statsPeriodInput = document.getElementById('stats-period');
+const customRangeGroup = document.getElementById('custom-range-group');
+const rangeStartInput = document.getElementById('range-start');
+const rangeEndInput = document.getElementById('range-end');
 const orgSlugInput = document.getElementById('org-slug');
 const detectOrgBtn = document.getElementById('detect-org-btn');
-const projectInput = document.getElementById('project-input');
-const projectDatalist = document.getElementById('project-datalist');
+const projectSearchInput = document.getElementById('project-search');
+const projectList = document.getElementById('project-list');
+const selectAllProjectsBtn = document.getElementById('select-all-projects-btn');
+const selectNoProjectsBtn = document.getElementById('select-no-projects-btn');
+const projectSelectionSummary = document.getElementById('project-selection-summary');
+const maxGroupsInput = document.getElementById('max-groups');
+const groupByFieldsContainer = document.getElementById('group-by-fields');
+const stratifyBySelect = document.getElementById('stratify-by');
+const spanQueryInput = document.getElementById('span-query');
+const sentryBaseUrlInput = document.getElementById('sentry-base-url');
+const saveBaseUrlBtn = document.getElementById('save-base-url-btn');
+const sentryRegionInfo = document.getElementById('sentry-region-info');
+const authTokenInput = document.getElementById('auth-token');
+const saveTokenBtn = document.getElementById('save-token-btn');
+const clearTokenBtn = document.getElementById('clear-token-btn');
+const authModeIndicator = document.getElementById('auth-mode-indicator');
+const authModeHelp = document.getElementById('auth-mode-help');
 const fetchDataBtn = document.getElementById('fetch-data-btn');
 const fetchSpinner = document.getElementById('fetch-spinner');
+const refreshDataBtn = document.getElementById('refresh-data-btn');
+const cancelFetchBtn = document.getElementById('cancel-fetch-btn');
+const fetchProgressEl = document.getElementById('fetch-progress');
+const dataAgeEl = document.getElementById('data-age');
+const fetchWaitStatusEl = document.getElementById('fetch-wait-status');
+const cacheWarning = document.getElementById('cache-warning');
+const cacheTtlInput = document.getElementById('cache-ttl');
 const rulesSection = document.getElementById('rules-section');
 const addRuleBtn = document.getElementById('add-rule-btn');
 const rulesContainer = document.getElementById('rules-container');
 const globalRateSlider = document.getElementById('global-rate');
 const globalRateValue = document.getElementById('global-rate-value');
 const expansionFactorInput = document.getElementById('expansion-factor');
+const autoSortRulesCheckbox = document.getElementById('auto-sort-rules');
+const traceAwareCheckbox = document.getElementById('trace-aware-sampling');
+const traceAwareWarning = document.getElementById('trace-aware-warning');
 const calculateBtn = document.getElementById('calculate-btn');
 const resultsSection = document.getElementById('results-section');
 const baselineCountEl = document.getElementById('baseline-count');
 const optimizedCountEl = document.getElementById('optimized-count');
 const costReductionEl = document.getElementById('cost-reduction');
 const breakdownContainer = document.getElementById('breakdown-container');
+const rateCapWarning = document.getElementById('rate-cap-warning');
+const baselineCostEl = document.getElementById('baseline-cost');
+const optimizedCostEl = document.getElementById('optimized-cost');
+const costSavingsEl = document.getElementById('cost-savings');
+const baselineCostDesc = document.getElementById('baseline-cost-desc');
+const optimizedCostDesc = document.getElementById('optimized-cost-desc');
+const costSavingsDesc = document.getElementById('cost-savings-desc');
+const billingPeriodSelect = document.getElementById('billing-period');
+const reservedVolumeInput = document.getElementById('reserved-volume');
+const paygPriceInput = document.getElementById('payg-price');
+const pricingTiersContainer = document.getElementById('pricing-tiers-container');
+const addTierBtn = document.getElementById('add-tier-btn');
 const breakdownSearch = document.getElementById('breakdown-search');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
 const breakdownPagination = document.getElementById('breakdown-pagination');
 const prevPageBtn = document.getElementById('prev-page-btn');
 const nextPageBtn = document.getElementById('next-page-btn');
 const pageInfo = document.getElementById('page-info');
 const errorMessage = document.getElementById('error-message');
+const scenarioSelect = document.getElementById('scenario-select');
+const scenarioNameInput = document.getElementById('scenario-name');
+const loadScenarioBtn = document.getElementById('load-scenario-btn');
+const saveScenarioBtn = document.getElementById('save-scenario-btn');
+const updateScenarioBtn = document.getElementById('update-scenario-btn');
+const renameScenarioBtn = document.getElementById('rename-scenario-btn');
+const duplicateScenarioBtn = document.getElementById('duplicate-scenario-btn');
+const deleteScenarioBtn = document.getElementById('delete-scenario-btn');
+const comparisonSection = document.getElementById('comparison-section');
+const comparisonChoices = document.getElementById('comparison-choices');
+const compareBtn = document.getElementById('compare-btn');
+const comparisonResults = document.getElementById('comparison-results');
+const comparisonSummary = document.getElementById('comparison-summary');
+const comparisonDiff = document.getElementById('comparison-diff');
+const comparisonDiffOnly = document.getElementById('comparison-diff-only');
+const exportSdkBtn = document.getElementById('export-sdk-btn');
+const sdkExportSection = document.getElementById('sdk-export-section');
+const sdkLanguageSelect = document.getElementById('sdk-language');
+const copySdkCodeBtn = document.getElementById('copy-sdk-code-btn');
+const sdkExportWarnings = document.getElementById('sdk-export-warnings');
+const sdkCodeOutput = document.getElementById('sdk-code-output');
+const ruleSetAuthorInput = document.getElementById('rule-set-author');
+const exportRuleSetBtn = document.getElementById('export-rule-set-btn');
+const importRuleSetBtn = document.getElementById('import-rule-set-btn');
+const ruleSetFileInput = document.getElementById('rule-set-file-input');
+const ruleSetStatus = document.getElementById('rule-set-status');
+const ruleSetErrors = document.getElementById('rule-set-errors');
+const budgetTargetInput = document.getElementById('budget-target');
+const budgetSolveModeSelect = document.getElementById('budget-solve-mode');
+const solveBudgetBtn = document.getElementById('solve-budget-btn');
+const budgetSolverStatus = document.getElementById('budget-solver-status');
+const noiseSuggestionsSection = document.getElementById('noise-suggestions-section');
+const noiseSuggestionsContainer = document.getElementById('noise-suggestions-container');
+const analyzeNoiseBtn = document.getElementById('analyze-noise-btn');
+
+// Value of the comparison checkbox that stands for the rules currently in the editor
+const CURRENT_RULES_CHOICE = '__current__';
+// Maximum number of per-group rows rendered in the comparison diff table
+const MAX_COMPARISON_ROWS = 200;
+const projectSubtotalsSection = document.getElementById('project-subtotals-section');
+const projectSubtotalsContainer = document.getElementById('project-subtotals-container');
+const timeSeriesSection = document.getElementById('time-series-section');
+const timeSeriesTitle = document.getElementById('time-series-title');
+const timeSeriesPeak = document.getElementById('time-series-peak');
+const timeSeriesChart = document.getElementById('time-series-chart');
 const sampleRatesSection = document.getElementById('sample-rates-section');
 const sampleRatesContainer = document.getElementById('sample-rates-container');
 const sampleRatesLabel = document.getElementById('sample-rates-label');
@@ -48,52 +153,520 @@ const itemsPerPage = 50;
  * Load projects for an organization
  */
 async function loadProjects(orgSlug) {
+  // Keep the selection when reloading the same organization's projects
+  const previouslySelectedSlugs = getSelectedProjects().map(project => project.slug);
+  projectOptions = [];
+  selectedProjectIds = new Set();
+  
   if (!orgSlug) {
-    projectDatalist.innerHTML = '<option value="">All Projects</option>';
-    projectInput.value = '';
-    projectInput.disabled = false;
+    renderProjectList();
     return;
   }
 
   try {
-    projectInput.disabled = true;
-    projectInput.placeholder = 'Loading projects...';
+    projectSearchInput.disabled = true;
+    projectList.innerHTML = '<div class="project-list-empty">Loading projects...</div>';
     const projects = await fetchProjects(orgSlug);
     
-    // Clear existing options except "All Projects"
-    projectDatalist.innerHTML = '<option value="">All Projects</option>';
+    projectOptions = projects
+      .map(project => ({ id: String(project.id), slug: project.slug, name: project.name || project.slug }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    selectedProjectIds = new Set(
+      projectOptions.filter(project => previouslySelectedSlugs.includes(project.slug)).map(project => project.id)
+    );
     
-    // Add projects to datalist - single option per project, searchable by both name and slug
-    projects.forEach(project => {
-      const option = document.createElement('option');
-      // Use slug as the value (what gets submitted)
-      option.value = project.slug;
-      // Display both name and slug for clarity
-      option.textContent = `${project.name} (${project.slug})`;
-      option.setAttribute('data-slug', project.slug);
-      option.setAttribute('data-name', project.name);
-      option.setAttribute('data-id', project.id); // Store project ID for API calls
-      // Add a label attribute for better search matching (browsers can match on label)
-      option.setAttribute('label', `${project.name} ${project.slug}`);
-      projectDatalist.appendChild(option);
+    console.log(`Loaded ${projects.length} projects`);
+  } catch (error) {
+    console.error('Failed to load projects:', error);
+  } finally {
+    projectSearchInput.disabled = false;
+    renderProjectList();
+  }
+}
+
+/**
+ * Get the projects matching the project search box
+ * @returns {Array} - Project options ({ id, slug, name })
+ */
+function getVisibleProjects() {
+  const query = projectSearchInput.value.trim().toLowerCase();
+  if (!query) {
+    return projectOptions;
+  }
+  return projectOptions.filter(project =>
+    project.name.toLowerCase().includes(query) || project.slug.toLowerCase().includes(query)
+  );
+}
+
+/**
+ * Render the project checkboxes for the current search
+ */
+function renderProjectList() {
+  projectList.innerHTML = '';
+  
+  if (projectOptions.length === 0) {
+    projectList.innerHTML = '<div class="project-list-empty">No projects loaded - all projects will be included.</div>';
+  } else {
+    const visibleProjects = getVisibleProjects();
+    if (visibleProjects.length === 0) {
+      projectList.innerHTML = '<div class="project-list-empty">No projects match the search.</div>';
+    }
+    visibleProjects.forEach(project => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = project.id;
+      checkbox.checked = selectedProjectIds.has(project.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selectedProjectIds.add(project.id);
+        } else {
+          selectedProjectIds.delete(project.id);
+        }
+        updateProjectSelectionSummary();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${project.name} (${project.slug})`));
+      projectList.appendChild(label);
     });
+  }
+  
+  updateProjectSelectionSummary();
+}
+
+/**
+ * Show how many projects are selected below the project picker
+ */
+function updateProjectSelectionSummary() {
+  const selected = getSelectedProjects();
+  if (selected.length === 0) {
+    projectSelectionSummary.textContent = 'No projects selected - all projects will be included. All/None apply to the projects matching the search.';
+  } else if (selected.length <= 3) {
+    projectSelectionSummary.textContent = `Selected: ${selected.map(project => project.slug).join(', ')}`;
+  } else {
+    projectSelectionSummary.textContent = `${selected.length} projects selected`;
+  }
+}
+
+/**
+ * Check or uncheck every project matching the search
+ * @param {boolean} selected - Whether to select the projects
+ */
+function setVisibleProjectsSelected(selected) {
+  getVisibleProjects().forEach(project => {
+    if (selected) {
+      selectedProjectIds.add(project.id);
+    } else {
+      selectedProjectIds.delete(project.id);
+    }
+  });
+  renderProjectList();
+}
+
+/**
+ * Get the selected projects
+ * @returns {Array} - Project options ({ id, slug, name }); empty means all projects
+ */
+function getSelectedProjects() {
+  return projectOptions.filter(project => selectedProjectIds.has(project.id));
+}
+
+/**
+ * Select projects by slug, e.g. when loading a scenario
+ * @param {Array<string>} slugs - Project slugs
+ */
+function setSelectedProjectsBySlug(slugs) {
+  selectedProjectIds = new Set(
+    projectOptions.filter(project => slugs.includes(project.slug)).map(project => project.id)
+  );
+  renderProjectList();
+}
+
+/**
+ * Get the project arguments for the API fetch functions
+ * A single project is passed by slug and ID; several are passed as options.projectIds
+ * @param {Array} projects - Selected project options; empty for all projects
+ * @returns {Object} - { projectSlug, projectId, options }
+ */
+function getProjectFetchArgs(projects) {
+  if (projects.length === 1) {
+    return { projectSlug: projects[0].slug, projectId: projects[0].id, options: {} };
+  }
+  return {
+    projectSlug: null,
+    projectId: null,
+    options: projects.length > 0 ? { projectIds: projects.map(project => project.id) } : {},
+  };
+}
+
+/**
+ * Detect the Sentry region from open tabs and show it next to the Sentry URL setting
+ */
+async function detectRegion() {
+  currentRegionUrl = await getRegionUrlFromCurrentTab();
+  const baseUrl = await getSentryBaseUrl();
+  
+  if (baseUrl) {
+    sentryRegionInfo.textContent = `Using self-hosted Sentry at ${baseUrl}.`;
+  } else if (currentRegionUrl) {
+    sentryRegionInfo.textContent = `Using sentry.io region ${new URL(currentRegionUrl).hostname} (detected from open Sentry tab).`;
+  } else {
+    sentryRegionInfo.textContent = 'For self-hosted Sentry only. The sentry.io region (US or EU) is detected automatically.';
+  }
+}
+
+/**
+ * Handle save button click for the self-hosted Sentry URL
+ */
+async function handleSaveBaseUrl() {
+  saveBaseUrlBtn.disabled = true;
+  hideError(errorMessage);
+  
+  try {
+    const savedUrl = await saveSentryBaseUrl(sentryBaseUrlInput.value);
+    sentryBaseUrlInput.value = savedUrl || '';
+    await detectRegion();
+  } catch (error) {
+    showError(errorMessage, error.message);
+  } finally {
+    saveBaseUrlBtn.disabled = false;
+  }
+}
+
+/**
+ * Show which authentication mode is active
+ */
+async function updateAuthModeIndicator() {
+  const authMode = await getAuthMode();
+  const usingToken = authMode === 'token';
+  
+  authModeIndicator.textContent = usingToken ? 'Auth Token' : 'Browser Session';
+  authModeIndicator.classList.toggle('auth-mode-token', usingToken);
+  clearTokenBtn.classList.toggle('hidden', !usingToken);
+  authTokenInput.placeholder = usingToken
+    ? 'Auth token saved - enter a new one to replace it'
+    : 'Optional Sentry auth token (org:read, project:read)';
+  authModeHelp.textContent = usingToken
+    ? 'Requests authenticate with your saved auth token. Remove it to use your browser session instead.'
+    : 'Uses your browser session to authenticate with Sentry. Make sure you\'re logged into Sentry, or save an auth token instead.';
+}
+
+/**
+ * Handle save token button click
+ */
+async function handleSaveToken() {
+  saveTokenBtn.disabled = true;
+  saveTokenBtn.textContent = 'Validating...';
+  hideError(errorMessage);
+  
+  try {
+    const scopes = await saveAuthToken(authTokenInput.value);
+    console.log('Auth token saved with scopes:', scopes);
+    authTokenInput.value = '';
+    await updateAuthModeIndicator();
+  } catch (error) {
+    showError(errorMessage, `Could not save auth token: ${error.message}`);
+  } finally {
+    saveTokenBtn.disabled = false;
+    saveTokenBtn.textContent = 'Save Token';
+  }
+}
+
+/**
+ * Handle remove token button click
+ */
+async function handleClearToken() {
+  await clearAuthToken();
+  await updateAuthModeIndicator();
+}
+
+/**
+ * Render the pricing settings form from the current pricing configuration
+ */
+function renderPricingForm() {
+  billingPeriodSelect.value = pricingConfig.billingPeriod;
+  reservedVolumeInput.value = pricingConfig.reservedVolume;
+  paygPriceInput.value = pricingConfig.paygPricePerMillion;
+  
+  pricingTiersContainer.innerHTML = '';
+  pricingConfig.tiers.forEach((tier, index) => {
+    const tierRow = document.createElement('div');
+    tierRow.className = 'pricing-tier-row';
+    tierRow.innerHTML = `
+      <input type="number" class="input" min="0" step="1000000" placeholder="Up to (spans, empty = no limit)"
+        value="${tier.upTo !== null && tier.upTo !== undefined ? tier.upTo : ''}" data-tier-index="${index}" data-field="upTo" />
+      <input type="number" class="input" min="0" step="0.01" placeholder="$ / million spans"
+        value="${tier.pricePerMillion}" data-tier-index="${index}" data-field="pricePerMillion" />
+      <button class="rule-delete" title="Remove tier">×</button>
+    `;
     
-    projectInput.disabled = false;
-    projectInput.placeholder = 'Type to search projects or leave empty for all projects';
+    tierRow.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', handlePricingChange);
+    });
+    tierRow.querySelector('.rule-delete').addEventListener('click', () => {
+      pricingConfig.tiers.splice(index, 1);
+      renderPricingForm();
+      handlePricingChange();
+    });
     
-    console.log(`Loaded ${projects.length} projects`);
+    pricingTiersContainer.appendChild(tierRow);
+  });
+}
+
+/**
+ * Read the pricing settings form into a pricing configuration object
+ * @returns {Object} - Pricing configuration object
+ */
+function readPricingForm() {
+  const tiers = Array.from(pricingTiersContainer.querySelectorAll('.pricing-tier-row')).map(row => {
+    const upToValue = row.querySelector('[data-field="upTo"]').value.trim();
+    return {
+      upTo: upToValue === '' ? null : Math.max(0, parseFloat(upToValue) || 0),
+      pricePerMillion: Math.max(0, parseFloat(row.querySelector('[data-field="pricePerMillion"]').value) || 0),
+    };
+  });
+  
+  // Tiers are graduated, so keep them in ascending order with the unbounded tier last
+  tiers.sort((a, b) => (a.upTo === null ? Infinity : a.upTo) - (b.upTo === null ? Infinity : b.upTo));
+  
+  return {
+    billingPeriod: billingPeriodSelect.value,
+    reservedVolume: Math.max(0, parseFloat(reservedVolumeInput.value) || 0),
+    tiers: tiers,
+    paygPricePerMillion: Math.max(0, parseFloat(paygPriceInput.value) || 0),
+  };
+}
+
+/**
+ * Handle pricing settings change - persist and re-price the last result
+ */
+async function handlePricingChange() {
+  pricingConfig = readPricingForm();
+  updateCostDisplay();
+  
+  try {
+    await savePricingConfig(pricingConfig);
   } catch (error) {
-    console.error('Failed to load projects:', error);
-    projectDatalist.innerHTML = '<option value="">All Projects (Error loading projects)</option>';
-    projectInput.disabled = false;
-    projectInput.placeholder = 'Type to search projects or leave empty for all projects';
+    console.warn('Could not save pricing configuration:', error);
+  }
+}
+
+/**
+ * Update the cost cards for the most recent simulation result
+ */
+function updateCostDisplay() {
+  if (!lastResult) {
+    return;
+  }
+  
+  const costs = calculateCostComparison(lastResult, pricingConfig);
+  const periodText = costs.periodMonths === 12 ? 'Per year' : 'Per month';
+  
+  baselineCostEl.textContent = formatCurrency(costs.baselineCost);
+  optimizedCostEl.textContent = formatCurrency(costs.optimizedCost);
+  costSavingsEl.textContent = formatCurrency(costs.savings);
+  baselineCostDesc.textContent = `${periodText} (projected from ${formatNumber(lastResult.monthlyRawCount)} spans/month)`;
+  optimizedCostDesc.textContent = `${periodText} (projected from ${formatNumber(lastResult.monthlySimulatedCount)} spans/month)`;
+  costSavingsDesc.textContent = `${costs.savingsPercent.toFixed(1)}% of baseline cost`;
+}
+
+/**
+ * Reload saved scenarios and repopulate the scenario picker
+ * @param {string} selectedId - Optional scenario ID to select
+ */
+async function refreshScenarioPicker(selectedId = null) {
+  try {
+    scenarios = await loadScenarios();
+  } catch (error) {
+    console.warn('Could not load scenarios:', error);
+    scenarios = [];
+  }
+  
+  scenarioSelect.innerHTML = '';
+  if (scenarios.length === 0) {
+    scenarioSelect.innerHTML = '<option value="">No saved scenarios</option>';
+  }
+  scenarios.forEach(scenario => {
+    const option = document.createElement('option');
+    option.value = scenario.id;
+    option.textContent = scenario.name;
+    option.selected = scenario.id === selectedId;
+    scenarioSelect.appendChild(option);
+  });
+  
+  const hasScenarios = scenarios.length > 0;
+  [loadScenarioBtn, updateScenarioBtn, renameScenarioBtn, duplicateScenarioBtn, deleteScenarioBtn]
+    .forEach(btn => { btn.disabled = !hasScenarios; });
+  
+  renderComparisonChoices();
+}
+
+/**
+ * Capture the current configuration for saving as a scenario
+ * @returns {Object} - Scenario configuration
+ */
+function getCurrentScenarioConfig() {
+  syncRulesFromEditor();
+  return {
+    rules: rules,
+    globalRate: parseFloat(globalRateSlider.value),
+    expansionFactor: parseFloat(expansionFactorInput.value) || 1.0,
+    autoSortBySpecificity: autoSortRulesCheckbox.checked,
+    traceAware: traceAwareCheckbox.checked,
+    orgSlug: orgSlugInput.value.trim(),
+    projects: getSelectedProjects().map(project => project.slug),
+    days: currentDays,
+    timeRange: { days: currentTimeRange.days, ...getTimeRangeOptions(currentTimeRange) },
+    query: spanQueryInput.value.trim(),
+  };
+}
+
+/**
+ * Apply a saved scenario to the editor and configuration inputs
+ * @param {Object} scenario - Scenario object
+ */
+async function applyScenario(scenario) {
+  // Copy rules so editing them doesn't touch the picker's copy until the scenario is updated
+  rules = JSON.parse(JSON.stringify(scenario.rules)).map(normalizeRule);
+  globalRateSlider.value = scenario.globalRate;
+  handleGlobalRateChange();
+  expansionFactorInput.value = scenario.expansionFactor;
+  autoSortRulesCheckbox.checked = !!scenario.autoSortBySpecificity;
+  traceAwareCheckbox.checked = !!scenario.traceAware;
+  
+  applyScenarioTimeRange(scenario.timeRange || { days: scenario.days });
+  
+  const orgChanged = scenario.orgSlug && scenario.orgSlug !== orgSlugInput.value.trim();
+  if (scenario.orgSlug) {
+    orgSlugInput.value = scenario.orgSlug;
+  }
+  if (orgChanged) {
+    await loadProjects(scenario.orgSlug);
+  }
+  setSelectedProjectsBySlug(scenario.projects || []);
+  spanQueryInput.value = scenario.query || '';
+  
+  scenarioNameInput.value = scenario.name;
+  showRulesSection(rulesSection, calculateBtn);
+  renderRules();
+}
+
+/**
+ * Select a scenario's time range in the date range inputs
+ * Preset periods select their option; custom periods and dates fill in the custom inputs
+ * @param {Object} timeRange - { days } plus statsPeriod or start/end (ISO 8601), as saved by getCurrentScenarioConfig
+ */
+function applyScenarioTimeRange(timeRange) {
+  // Date inputs take local yyyy-mm-dd dates
+  const toDateInputValue = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+  
+  if (timeRange.start && timeRange.end) {
+    dateRangeSelect.value = 'custom-range';
+    rangeStartInput.value = toDateInputValue(new Date(timeRange.start));
+    // The saved end is the midnight after the inclusive end date
+    rangeEndInput.value = toDateInputValue(new Date(new Date(timeRange.end).getTime() - 1));
+  } else if (timeRange.statsPeriod) {
+    dateRangeSelect.value = 'custom-period';
+    statsPeriodInput.value = timeRange.statsPeriod;
+  } else if (Array.from(dateRangeSelect.options).some(opt => opt.value === String(timeRange.days))) {
+    dateRangeSelect.value = String(timeRange.days);
+  }
+  handleDateRangeChange();
+}
+
+/**
+ * Run a scenario picker action, showing any error to the user
+ * @param {Function} action - Async action to run
+ */
+async function runScenarioAction(action) {
+  hideError(errorMessage);
+  try {
+    await action();
+  } catch (error) {
+    showError(errorMessage, `Scenario error: ${error.message}`);
+  }
+}
+
+/**
+ * Get the scenario currently selected in the picker
+ * @returns {Object} - Scenario object
+ */
+function getSelectedScenario() {
+  const scenario = scenarios.find(s => s.id === scenarioSelect.value);
+  if (!scenario) {
+    throw new Error('Please select a saved scenario');
   }
+  return scenario;
+}
+
+/**
+ * Set up scenario picker event listeners
+ */
+function initScenarioPicker() {
+  saveScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    const scenario = await addScenario(scenarioNameInput.value, getCurrentScenarioConfig());
+    await refreshScenarioPicker(scenario.id);
+  }));
+  
+  loadScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    await applyScenario(getSelectedScenario());
+  }));
+  
+  updateScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    const scenario = await updateScenario(getSelectedScenario().id, getCurrentScenarioConfig());
+    await refreshScenarioPicker(scenario.id);
+  }));
+  
+  renameScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    const scenario = await renameScenario(getSelectedScenario().id, scenarioNameInput.value);
+    await refreshScenarioPicker(scenario.id);
+  }));
+  
+  duplicateScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    const scenario = await duplicateScenario(getSelectedScenario().id);
+    scenarioNameInput.value = scenario.name;
+    await refreshScenarioPicker(scenario.id);
+  }));
+  
+  deleteScenarioBtn.addEventListener('click', () => runScenarioAction(async () => {
+    const scenario = getSelectedScenario();
+    if (!confirm(`Delete scenario "${scenario.name}"?`)) {
+      return;
+    }
+    await deleteScenario(scenario.id);
+    await refreshScenarioPicker();
+  }));
 }
 
 /**
  * Initialize the app
  */
 async function init() {
+  // Restore the self-hosted Sentry URL and detect the region before anything hits the API
+  sentryBaseUrlInput.value = (await getSentryBaseUrl()) || '';
+  cacheTtlInput.value = await getCacheTtlMinutes();
+  renderGroupByFields(await getGroupByFields());
+  getSpanAttributes().forEach(attr => stratifyBySelect.add(new Option(attr.label, attr.value)));
+  await detectRegion();
+  await updateAuthModeIndicator();
+  
+  // Restore saved pricing settings
+  try {
+    pricingConfig = await loadPricingConfig();
+  } catch (error) {
+    console.warn('Could not load pricing configuration, using defaults:', error);
+  }
+  renderPricingForm();
+  
+  // Load saved scenarios into the picker
+  initScenarioPicker();
+  await refreshScenarioPicker();
+  
   // Try to auto-detect organization slug
   console.log('Initializing app, attempting to auto-detect org slug...');
   try {
@@ -118,6 +691,9 @@ async function init() {
     filterAndPaginateBreakdown(e.target.value.trim());
   });
   
+  exportCsvBtn.addEventListener('click', () => handleExportBreakdown('csv'));
+  exportJsonBtn.addEventListener('click', () => handleExportBreakdown('json'));
+  
   prevPageBtn.addEventListener('click', () => {
     if (currentPage > 1) {
       currentPage--;
@@ -140,6 +716,7 @@ async function init() {
     
     try {
       const orgSlug = await getOrgSlugFromCurrentTab();
+      await detectRegion();
       if (orgSlug) {
         orgSlugInput.value = orgSlug;
         orgSlugInput.placeholder = orgSlug;
@@ -162,167 +739,418 @@ async function init() {
     }
   });
   
-  // Handle project input change to show selected project name
-  projectInput.addEventListener('input', () => {
-    const value = projectInput.value.trim();
-    if (value) {
-      const option = Array.from(projectDatalist.options).find(
-        opt => opt.value === value || opt.getAttribute('data-slug') === value
-      );
-      if (option && option.getAttribute('data-name')) {
-        // Optionally update display to show full name
-        // But keep the slug as the actual value
-      }
+  projectSearchInput.addEventListener('input', renderProjectList);
+  selectAllProjectsBtn.addEventListener('click', () => setVisibleProjectsSelected(true));
+  selectNoProjectsBtn.addEventListener('click', () => setVisibleProjectsSelected(false));
+  
+  saveBaseUrlBtn.addEventListener('click', handleSaveBaseUrl);
+  billingPeriodSelect.addEventListener('change', handlePricingChange);
+  reservedVolumeInput.addEventListener('change', handlePricingChange);
+  paygPriceInput.addEventListener('change', handlePricingChange);
+  addTierBtn.addEventListener('click', () => {
+    pricingConfig = readPricingForm();
+    pricingConfig.tiers.push({ upTo: null, pricePerMillion: pricingConfig.paygPricePerMillion });
+    renderPricingForm();
+    handlePricingChange();
+  });
+  saveTokenBtn.addEventListener('click', handleSaveToken);
+  clearTokenBtn.addEventListener('click', handleClearToken);
+  fetchDataBtn.addEventListener('click', () => handleFetchData());
+  refreshDataBtn.addEventListener('click', () => handleFetchData({ forceRefresh: true }));
+  cancelFetchBtn.addEventListener('click', () => {
+    if (fetchAbortController) {
+      fetchAbortController.abort();
     }
   });
-  
-  fetchDataBtn.addEventListener('click', handleFetchData);
+  cacheTtlInput.addEventListener('change', handleCacheTtlChange);
+  // Keep the "fetched N minutes ago" text current
+  setInterval(updateDataAge, 60000);
+  onFetchWaitStatus(showFetchWaitStatus);
+  dateRangeSelect.addEventListener('change', handleDateRangeChange);
   addRuleBtn.addEventListener('click', handleAddRule);
+  exportRuleSetBtn.addEventListener('click', handleExportRuleSet);
+  importRuleSetBtn.addEventListener('click', () => ruleSetFileInput.click());
+  ruleSetFileInput.addEventListener('change', handleImportRuleSet);
   globalRateSlider.addEventListener('input', handleGlobalRateChange);
+  traceAwareCheckbox.addEventListener('change', updateRuleEnforceabilityBadges);
+  budgetSolveModeSelect.addEventListener('change', updateSolverConstraintsVisibility);
+  solveBudgetBtn.addEventListener('click', handleSolveBudget);
+  analyzeNoiseBtn.addEventListener('click', renderNoiseSuggestions);
   calculateBtn.addEventListener('click', handleCalculate);
+  compareBtn.addEventListener('click', handleCompare);
+  comparisonDiffOnly.addEventListener('change', () => {
+    if (comparisonRuns.length > 0) {
+      renderComparisonDiff();
+    }
+  });
+  exportSdkBtn.addEventListener('click', handleExportSdk);
+  sdkLanguageSelect.addEventListener('change', handleExportSdk);
+  copySdkCodeBtn.addEventListener('click', handleCopySdkCode);
 
   // Update global rate display
   handleGlobalRateChange();
 }
 
 /**
- * Handle fetch data button click
+ * Show the custom period or date inputs for the selected date range option
  */
-async function handleFetchData() {
-  const days = parseInt(dateRangeSelect.value, 10);
-  currentDays = days; // Store for monthly calculations
-  
-  // Show loading state
-  setFetchLoadingState(fetchDataBtn, fetchSpinner, true);
-  hideError(errorMessage);
+function handleDateRangeChange() {
+  customPeriodGroup.style.display = dateRangeSelect.value === 'custom-period' ? 'flex' : 'none';
+  customRangeGroup.style.display = dateRangeSelect.value === 'custom-range' ? 'flex' : 'none';
+}
 
-  try {
-    // Get organization slug - use manual input if provided, otherwise auto-detect
-    let orgSlug = orgSlugInput.value.trim();
-    
-    if (!orgSlug) {
-      // Try to auto-detect from any Sentry tab
-      try {
-        orgSlug = await getOrgSlugFromCurrentTab();
-        orgSlugInput.value = orgSlug; // Update input with detected value
-        // Load projects for detected org
-        await loadProjects(orgSlug);
-      } catch (error) {
-        showError(errorMessage, 'Please enter an organization slug or open a Sentry page in any tab.');
-        return;
-      }
+/**
+ * Read the time range chosen in the configuration
+ * @returns {Object} - { days, label, slug } plus statsPeriod for a custom period or start/end (ISO 8601) for custom dates
+ */
+function getSelectedTimeRange() {
+  if (dateRangeSelect.value === 'custom-period') {
+    const statsPeriod = statsPeriodInput.value.trim().toLowerCase();
+    const days = parseStatsPeriod(statsPeriod);
+    return { days: days, statsPeriod: statsPeriod, label: formatPeriodLabel(days), slug: statsPeriod };
+  }
+  
+  if (dateRangeSelect.value === 'custom-range') {
+    if (!rangeStartInput.value || !rangeEndInput.value) {
+      throw new Error('Please choose a start and end date');
     }
-    
-    // Get selected project - extract slug from input value
-    let projectSlug = projectInput.value.trim() || null;
-    
-    if (projectSlug && projectSlug !== '') {
-      // Try to find matching option in datalist
-      const option = Array.from(projectDatalist.options).find(
-        opt => {
-          const optSlug = opt.getAttribute('data-slug');
-          const optValue = opt.value;
-          return optSlug === projectSlug || 
-                 optValue === projectSlug ||
-                 optValue === projectInput.value.trim();
-        }
-      );
-      
-      if (option) {
-        // Use the slug from the matched option
-        projectSlug = option.getAttribute('data-slug') || option.value;
-        // Also get project ID if available
-        const projectId = option.getAttribute('data-id');
-        if (projectId) {
-          // Pass both slug and ID - API can try both
-          const spanData = await fetchSpanUsage(orgSlug, days, projectSlug, projectId);
-          handleSpanDataSuccess(spanData, projectSlug);
-          return;
-        }
-      } else if (projectSlug.includes('(') && projectSlug.includes(')')) {
-        // If user typed "Name (slug)" format, extract slug
-        const match = projectSlug.match(/\(([^)]+)\)/);
-        if (match) {
-          projectSlug = match[1];
-        }
-      }
-      // If no match found, use the value as-is (might be a valid slug)
-    } else {
-      projectSlug = null; // Empty means all projects
+    const start = new Date(`${rangeStartInput.value}T00:00:00`);
+    // The end date is inclusive, so the range runs until the midnight after it
+    const end = new Date(`${rangeEndInput.value}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    if (end <= start) {
+      throw new Error('The end date must be on or after the start date');
+    }
+    const now = new Date();
+    if (start > now) {
+      throw new Error('The start date is in the future');
+    }
+    // A range ending today stops now, so the period length matches what Sentry returns
+    if (end > now) {
+      end.setTime(now.getTime());
     }
     
-    // Fetch span data using browser session cookies
-    const spanData = await fetchSpanUsage(orgSlug, days, projectSlug);
-    // Pass null explicitly if no project selected
-    handleSpanDataSuccess(spanData, projectSlug || null);
-  } catch (error) {
-    showError(errorMessage, error.message);
-  } finally {
-    setFetchLoadingState(fetchDataBtn, fetchSpinner, false);
+    const formatDate = date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    const lastDay = new Date(end.getTime() - 1);
+    return {
+      // Round to whole hours so daylight saving changes don't leave odd fractions, but keep at least one hour
+      days: Math.max(1, Math.round((end - start) / (60 * 60 * 1000))) / 24,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      label: `${formatDate(start)} – ${formatDate(lastDay)}`,
+      slug: `${rangeStartInput.value}_${rangeEndInput.value}`,
+    };
   }
+  
+  const days = parseInt(dateRangeSelect.value, 10);
+  return { days: days, label: formatPeriodLabel(days), slug: `${days}d` };
 }
 
 /**
- * Fetch and display current sample rates
+ * Get the background fetch options for a time range
+ * @param {Object} timeRange - Time range from getSelectedTimeRange
+ * @returns {Object} - { statsPeriod } or { start, end }, empty for the preset periods
  */
-async function fetchAndDisplaySampleRates(projectSlug) {
-  // Normalize projectSlug - convert empty string to null
-  const projectSlugToUse = projectSlug && projectSlug.trim() ? projectSlug.trim() : null;
-  
-  // Sample rates are only available for individual projects, not all projects
-  if (!projectSlugToUse) {
-    showSampleRatesMessage('Please select a specific project to view current sample rates. Sample rates breakdown is not available when viewing all projects.');
-    return;
+function getTimeRangeOptions(timeRange) {
+  if (timeRange.start && timeRange.end) {
+    return { start: timeRange.start, end: timeRange.end };
   }
-  
-  // Hide section initially
-  sampleRatesSection.style.display = 'none';
-  
+  return timeRange.statsPeriod ? { statsPeriod: timeRange.statsPeriod } : {};
+}
+
+/**
+ * Save the cache duration when it is changed
+ */
+async function handleCacheTtlChange() {
   try {
-    const days = parseInt(dateRangeSelect.value, 10);
-    let orgSlug = orgSlugInput.value.trim();
-    
-    if (!orgSlug) {
-      try {
-        orgSlug = await getOrgSlugFromCurrentTab();
-      } catch (error) {
-        console.warn('Could not get org slug for sample rates:', error);
-        return;
-      }
-    }
+    cacheTtlInput.value = await saveCacheTtlMinutes(parseFloat(cacheTtlInput.value));
+    hideError(errorMessage);
+  } catch (error) {
+    showError(errorMessage, error.message);
+    cacheTtlInput.value = await getCacheTtlMinutes();
+  }
+}
+
+/**
+ * Render a checkbox per span attribute for the group-by choice
+ * @param {Array<string>} selected - Attributes to check (null checks all of them)
+ */
+function renderGroupByFields(selected) {
+  groupByFieldsContainer.innerHTML = '';
+  getSpanAttributes().forEach(attr => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = attr.value;
+    checkbox.checked = !selected || selected.includes(attr.value);
+    checkbox.addEventListener('change', handleGroupByChange);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${attr.label}`));
+    groupByFieldsContainer.appendChild(label);
+  });
+}
+
+/**
+ * Get the span attributes checked in the group-by choice
+ * @returns {Array<string>} - Attribute names
+ */
+function getSelectedGroupByFields() {
+  return Array.from(groupByFieldsContainer.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+}
+
+/**
+ * Save the group-by choice when it is changed; it applies from the next fetch
+ */
+async function handleGroupByChange() {
+  try {
+    await saveGroupByFields(getSelectedGroupByFields());
+    hideError(errorMessage);
+  } catch (error) {
+    showError(errorMessage, error.message);
+    renderGroupByFields(await getGroupByFields());
+  }
+}
+
+/**
+ * Show that a background request is waiting to be retried
+ * @param {Object} status - { label, reason, waitMs, attempt, maxAttempts } from the background worker
+ */
+function showFetchWaitStatus(status) {
+  const seconds = Math.max(1, Math.round(status.waitMs / 1000));
+  fetchWaitStatusEl.textContent = `${status.reason} while fetching ${status.label}. Retrying in ${seconds}s (attempt ${status.attempt} of ${status.maxAttempts})...`;
+  fetchWaitStatusEl.classList.remove('hidden');
+  
+  // The retry is underway once the wait is over; a further wait replaces this message
+  clearTimeout(fetchWaitStatusTimer);
+  fetchWaitStatusTimer = setTimeout(() => fetchWaitStatusEl.classList.add('hidden'), status.waitMs + 1000);
+}
+
+/**
+ * Show how old the current span data is
+ */
+function updateDataAge() {
+  if (!currentDataFetchedAt) {
+    dataAgeEl.classList.add('hidden');
+    return;
+  }
+  const fetchedAt = new Date(currentDataFetchedAt).toLocaleString();
+  dataAgeEl.textContent = `Data fetched ${formatTimeAgo(currentDataFetchedAt)} (${fetchedAt})${currentSpanData && currentSpanData._fromCache ? ', loaded from cache' : ''}.`;
+  dataAgeEl.classList.remove('hidden');
+}
+
+/**
+ * Handle fetch data button click
+ * @param {Object} fetchOverrides - Optional extra fetch options (e.g. { forceRefresh: true } to bypass the cache)
+ */
+async function handleFetchData(fetchOverrides = {}) {
+  let timeRange;
+  try {
+    timeRange = getSelectedTimeRange();
+  } catch (error) {
+    showError(errorMessage, error.message);
+    return;
+  }
+  const days = timeRange.days;
+  currentDays = days; // Store for monthly calculations
+  currentTimeRange = timeRange;
+  currentSpanQuery = spanQueryInput.value.trim();
+  const fetchOptions = {
+    maxGroups: parseInt(maxGroupsInput.value, 10) || 1000,
+    groupBy: getSelectedGroupByFields(),
+    stratifyBy: stratifyBySelect.value || null,
+    regionUrl: currentRegionUrl,
+    query: currentSpanQuery,
+    ...getTimeRangeOptions(timeRange),
+    ...fetchOverrides,
+  };
+  
+  // Only one fetch runs at a time; a new one also stops sample rates still loading for the last one
+  if (fetchAbortController) {
+    fetchAbortController.abort();
+  }
+  const abortController = new AbortController();
+  fetchAbortController = abortController;
+  
+  // Show loading state
+  setFetchLoadingState(fetchDataBtn, fetchSpinner, true);
+  refreshDataBtn.disabled = true;
+  cancelFetchBtn.classList.remove('hidden');
+  showFetchProgress('Counting spans...');
+  hideError(errorMessage);
+
+  try {
+    // Get organization slug - use manual input if provided, otherwise auto-detect
+    let orgSlug = orgSlugInput.value.trim();
     
-    // Get project ID if we have a slug
-    let projectId = null;
-    if (projectSlugToUse) {
-      const option = Array.from(projectDatalist.options).find(
-        opt => opt.getAttribute('data-slug') === projectSlugToUse
-      );
-      if (option) {
-        projectId = option.getAttribute('data-id');
+    if (!orgSlug) {
+      // Try to auto-detect from any Sentry tab
+      try {
+        orgSlug = await getOrgSlugFromCurrentTab();
+        orgSlugInput.value = orgSlug; // Update input with detected value
+        // Load projects for detected org
+        await loadProjects(orgSlug);
+      } catch (error) {
+        showError(errorMessage, 'Please enter an organization slug or open a Sentry page in any tab.');
+        return;
       }
     }
     
-    console.log('Fetching sample rates with:', { orgSlug, days, projectSlug: projectSlugToUse, projectId });
-    
-    // Add timeout to prevent hanging (30 seconds)
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Sample rates fetch timeout after 30s')), 30000)
-    );
-    
-    const result = await Promise.race([
-      fetchSampleRates(orgSlug, days, projectSlugToUse, projectId),
-      timeoutPromise
-    ]);
+    // Selected projects - none means all projects
+    const projects = getSelectedProjects();
+    const { projectSlug, projectId, options: projectOptionsForFetch } = getProjectFetchArgs(projects);
     
-    console.log('Sample rates result:', result);
-    renderSampleRates(result, projectSlugToUse);
+    // Fetch span data using browser session cookies
+    // Current sample rates are only available for selected projects and follow the span data over the same fetch
+    const includeSampleRates = projects.length > 0;
+    const spanData = await fetchSpanUsage(orgSlug, days, projectSlug, projectId, {
+      ...fetchOptions,
+      ...projectOptionsForFetch,
+      signal: abortController.signal,
+      onProgress: handleFetchProgress,
+      onSampleRates: includeSampleRates
+        ? (result, sampleRatesError) => handleSampleRatesResult(result, sampleRatesError, projects.length === 1)
+        : null,
+    });
+    handleSpanDataSuccess(spanData, projects);
+    if (includeSampleRates) {
+      showFetchProgress('Span data ready. Loading current sample rates...');
+    } else {
+      fetchProgressEl.classList.add('hidden');
+    }
   } catch (error) {
+    if (error.name === 'AbortError') {
+      showFetchProgress('Fetch cancelled.');
+    } else {
+      fetchProgressEl.classList.add('hidden');
+      showError(errorMessage, error.message);
+    }
+  } finally {
+    // A newer fetch owns the loading state once it has started
+    if (fetchAbortController === abortController) {
+      setFetchLoadingState(fetchDataBtn, fetchSpinner, false);
+      refreshDataBtn.disabled = false;
+      cancelFetchBtn.classList.add('hidden');
+    }
+  }
+}
+
+/**
+ * Show a fetch progress message below the fetch buttons
+ * @param {string} message - Progress text
+ */
+function showFetchProgress(message) {
+  fetchProgressEl.textContent = message;
+  fetchProgressEl.classList.remove('hidden');
+}
+
+/**
+ * Show progress events streamed from the background fetch
+ * @param {Object} progress - Progress event from fetchSpanUsage
+ */
+function handleFetchProgress(progress) {
+  if (progress.stage === 'cached') {
+    showFetchProgress(`Using cached data from ${formatTimeAgo(progress.fetchedAt)}.`);
+  } else if (progress.stage === 'totalCount') {
+    const countText = progress.totalCount !== null ? ` (${formatNumber(progress.totalCount)} spans)` : '';
+    showFetchProgress(`Total count done${countText}. Fetching span groups...`);
+  } else if (progress.stage === 'groups') {
+    showFetchProgress(`Fetched page ${progress.page} of up to ${progress.maxPages} (${progress.groupCount.toLocaleString()} span groups)...`);
+  } else if (progress.stage === 'strata') {
+    showFetchProgress(`Found ${progress.strataCount} top value(s) to stratify by. Fetching span groups within each...`);
+  } else if (progress.stage === 'stratum') {
+    showFetchProgress(`Fetched ${progress.completed} of ${progress.total} strata (${progress.groupCount.toLocaleString()} span groups)...`);
+  } else if (progress.stage === 'sampleRates') {
+    fetchProgressEl.classList.add('hidden');
+  }
+}
+
+/**
+ * Display the current sample rates that arrived after the span data
+ * @param {Object|null} result - Result from the background sample rates fetch, or null if it failed
+ * @param {string|null} error - Error message when the fetch failed
+ * @param {boolean} isSingleProject - Whether rates are grouped by span.op (one project) rather than by project
+ */
+function handleSampleRatesResult(result, error, isSingleProject) {
+  if (error) {
     // Silently fail - sample rates are supplementary information
     // The 500 error from Sentry API is likely due to query complexity/timeout
     // Don't show error to user, just keep section hidden
-    console.warn('Sample rates fetch failed (non-critical):', error.message);
+    console.warn('Sample rates fetch failed (non-critical):', error);
     sampleRatesSection.style.display = 'none';
+    fetchProgressEl.classList.add('hidden');
+    return;
   }
+  
+  console.log('Sample rates result:', result);
+  renderSampleRates(result, isSingleProject);
+}
+
+/**
+ * Fetch span counts over time for the volume chart
+ * @param {Array} projects - Projects the data was fetched for; empty for all projects
+ * @param {AbortSignal} signal - Signal of the span data fetch; cancelling or starting another fetch aborts the chart too
+ */
+async function fetchTimeSeries(projects, signal) {
+  try {
+    const days = currentTimeRange.days;
+    const orgSlug = orgSlugInput.value.trim() || await getOrgSlugFromCurrentTab();
+    const { projectSlug, projectId, options: projectOptionsForFetch } = getProjectFetchArgs(projects);
+    
+    currentTimeSeries = await fetchSpanTimeSeries(orgSlug, days, projectSlug, projectId, {
+      regionUrl: currentRegionUrl,
+      query: currentSpanQuery,
+      ...getTimeRangeOptions(currentTimeRange),
+      ...projectOptionsForFetch,
+      signal: signal,
+    });
+    
+    // Results may already be on screen if the calculation finished first
+    if (lastResult && resultsSection.style.display !== 'none') {
+      updateTimeSeriesDisplay();
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return;
+    }
+    // The chart is supplementary - keep it hidden rather than interrupting the user
+    console.warn('Time series fetch failed (non-critical):', error.message);
+  }
+}
+
+/**
+ * Render baseline vs simulated volume over time for the last simulation result
+ */
+function updateTimeSeriesDisplay() {
+  if (!currentTimeSeries || !lastResult) {
+    timeSeriesSection.style.display = 'none';
+    return;
+  }
+  
+  const points = simulateTimeSeries(currentTimeSeries, lastResult);
+  const bucketName = currentTimeSeries.interval === '1h' ? 'hour' : 'day';
+  timeSeriesTitle.textContent = currentTimeSeries.interval === '1h' ? 'Hourly Volume' : 'Daily Volume';
+  
+  // Savings are a fixed ratio per span.op, so the peak shows whether the busiest traffic is covered by the rules
+  const notes = [];
+  const peak = points.reduce((max, point) => (!max || point.rawCount > max.rawCount ? point : max), null);
+  if (peak && peak.rawCount > 0) {
+    const reduction = ((peak.rawCount - peak.simulatedCount) / peak.rawCount) * 100;
+    const peakLabel = new Date(peak.timestamp * 1000).toLocaleString(undefined, bucketName === 'hour'
+      ? { month: 'short', day: 'numeric', hour: '2-digit' }
+      : { month: 'short', day: 'numeric' });
+    notes.push(`Peak ${bucketName} (${peakLabel}): ${formatNumber(peak.rawCount)} baseline → ${formatNumber(Math.round(peak.simulatedCount))} simulated (${reduction.toFixed(1)}% reduction).`);
+  }
+  // Without span.op in the grouping every series falls back to the overall reduction
+  if (currentGroupBy && !currentGroupBy.includes('span.op')) {
+    notes.push('Span data was not grouped by span.op, so every series uses the overall simulated reduction.');
+  } else {
+    notes.push(`Rates are applied per span.op using this simulation's breakdown for the top ${currentTimeSeries.series.filter(series => !series.isOther).length} operations; the rest use the average of the remaining groups.`);
+  }
+  timeSeriesPeak.textContent = notes.join(' ');
+  
+  renderTimeSeriesChart(timeSeriesChart, points, currentTimeSeries.interval);
+  timeSeriesSection.style.display = 'block';
 }
 
 /**
@@ -349,8 +1177,8 @@ function showSampleRatesMessage(message) {
 /**
  * Render sample rates breakdown
  */
-function renderSampleRates(result, projectSlug) {
-  console.log('Rendering sample rates:', result, 'projectSlug:', projectSlug);
+function renderSampleRates(result, isSingleProject) {
+  console.log('Rendering sample rates:', result, 'single project:', isSingleProject);
   
   if (!result || !result.sampleRates || result.sampleRates.length === 0) {
     console.warn('No sample rates to display');
@@ -358,8 +1186,8 @@ function renderSampleRates(result, projectSlug) {
     return;
   }
   
-  // Update label based on whether we have a project or not
-  if (projectSlug) {
+  // Update label based on whether rates are grouped by span.op (one project) or by project
+  if (isSingleProject) {
     sampleRatesLabel.textContent = 'Span Operation';
   } else {
     sampleRatesLabel.textContent = 'Project';
@@ -387,249 +1215,731 @@ function renderSampleRates(result, projectSlug) {
     sampleRatesContainer.appendChild(breakdownItem);
   });
   
-  // Show the section
-  sampleRatesSection.style.display = 'block';
+  // Show the section
+  sampleRatesSection.style.display = 'block';
+}
+
+/**
+ * Handle successful span data fetch
+ */
+function handleSpanDataSuccess(spanData, projects) {
+  if (!spanData || spanData.length === 0) {
+    const projectText = projects.length > 0 ? ` for ${projects.map(project => `"${project.slug}"`).join(', ')}` : '';
+    showError(errorMessage, `No span data found${projectText} for the selected time period`);
+    return;
+  }
+
+  // Log summary of fetched data
+  const totalSpans = spanData.reduce((sum, item) => sum + (item.count || 0), 0);
+  console.log(`Fetched ${spanData.length} span groups with total ${totalSpans.toLocaleString()} spans`);
+  
+  if (spanData._hasMoreGroups) {
+    console.warn(`⚠️ Only fetched the top ${spanData.length} span groups. Raise "Max Span Groups" to let rules match more of the long tail.`);
+  }
+
+  currentSpanData = spanData;
+  currentProjects = projects;
+  currentGroupBy = spanData._groupBy || null;
+  currentDataFetchedAt = spanData._fetchedAt || Date.now();
+  updateDataAge();
+  refreshDataBtn.classList.remove('hidden');
+  
+  // Cached data stands in when Sentry can't be reached, so simulations keep working offline
+  if (spanData._fetchError) {
+    cacheWarning.textContent = `Sentry could not be reached (${spanData._fetchError}). Showing cached data from ${formatTimeAgo(currentDataFetchedAt)}; simulations use this data until a refresh succeeds.`;
+    cacheWarning.classList.remove('hidden');
+  } else {
+    cacheWarning.classList.add('hidden');
+  }
+  
+  // Show rules section
+  showRulesSection(rulesSection, calculateBtn);
+  
+  // Keep existing rules (e.g. from a loaded scenario); re-rendering refreshes autocomplete values
+  renderRules();
+  
+  // Look for noisy span groups worth a rule
+  renderNoiseSuggestions();
+  
+  // Comparisons run against the fetched data, so offer them once data is available
+  comparisonSection.style.display = 'block';
+  comparisonResults.style.display = 'none';
+  
+  // Current sample rates are fetched along with the span data, but only for selected projects
+  if (projects.length === 0) {
+    showSampleRatesMessage('Please select one or more projects to view current sample rates. Sample rates breakdown is not available when viewing all projects.');
+  } else {
+    sampleRatesSection.style.display = 'none';
+  }
+  
+  // Fetch counts over time for the volume chart (shown after the next calculation)
+  currentTimeSeries = null;
+  timeSeriesSection.style.display = 'none';
+  fetchTimeSeries(projects, fetchAbortController ? fetchAbortController.signal : null);
+}
+
+/**
+ * Analyze the fetched data for noise patterns and list the suggested rules
+ * Savings are estimated against the rules currently in the editor
+ */
+function renderNoiseSuggestions() {
+  syncRulesFromEditor();
+  const suggestions = detectNoisePatterns(currentSpanData, getActiveRules(rules), {
+    expansionFactor: parseFloat(expansionFactorInput.value) || 1.0,
+    globalRate: parseFloat(globalRateSlider.value) / 100,
+    days: currentDays,
+    options: { autoSortBySpecificity: autoSortRulesCheckbox.checked, traceAware: traceAwareCheckbox.checked },
+  });
+  
+  noiseSuggestionsContainer.innerHTML = '';
+  if (suggestions.length === 0) {
+    const emptyItem = document.createElement('div');
+    emptyItem.className = 'breakdown-item';
+    emptyItem.style.color = 'var(--gray-500)';
+    emptyItem.innerHTML = '<div class="breakdown-col-label" style="grid-column: 1 / -1;">No noisy span groups found that the current rules don\'t already cover.</div>';
+    noiseSuggestionsContainer.appendChild(emptyItem);
+  }
+  
+  suggestions.forEach(suggestion => {
+    const suggestionItem = document.createElement('div');
+    suggestionItem.className = 'breakdown-item';
+    suggestionItem.innerHTML = `
+      <div class="breakdown-col-label" title="${suggestion.description}">
+        <strong>${suggestion.label}</strong> → ${suggestion.rule.rate}%
+        <div class="help-text">${describeRule(suggestion.rule)} (${suggestion.matchedGroupCount} group(s))</div>
+      </div>
+      <div class="breakdown-col-value">${(suggestion.share * 100).toFixed(1)}%</div>
+      <div class="breakdown-col-value">${formatNumber(Math.round(suggestion.monthlySavings))}</div>
+      <div class="breakdown-col-value"><button type="button" class="btn btn-secondary btn-sm">Add Rule</button></div>
+    `;
+    suggestionItem.querySelector('button').addEventListener('click', () => handleAcceptNoiseSuggestion(suggestion));
+    noiseSuggestionsContainer.appendChild(suggestionItem);
+  });
+  
+  noiseSuggestionsSection.style.display = 'block';
+}
+
+/**
+ * Add a suggested rule at the top of the rules list
+ * @param {Object} suggestion - Suggestion from detectNoisePatterns
+ */
+function handleAcceptNoiseSuggestion(suggestion) {
+  syncRulesFromEditor();
+  rules.unshift(suggestion.rule);
+  renderRules();
+  renderNoiseSuggestions();
+}
+
+/**
+ * Handle add rule button click
+ */
+function handleAddRule() {
+  rules.push(createRule({
+    attribute: 'span.op',
+    operator: 'contains',
+    value: '',
+    rate: 100,
+  }));
+  renderRules();
+}
+
+/**
+ * Handle delete rule
+ */
+function handleDeleteRule(ruleId) {
+  rules = rules.filter(rule => rule.id !== ruleId);
+  renderRules();
+}
+
+/**
+ * Handle rule field change
+ */
+function handleRuleChange(ruleId, field, value) {
+  const rule = rules.find(r => r.id === ruleId);
+  if (rule) {
+    if (field === 'rate' || field === 'minRate' || field === 'maxRate') {
+      rule[field] = parseFloat(value);
+    } else {
+      rule[field] = value;
+    }
+  }
+}
+
+/**
+ * Handle moving a rule to a new priority position
+ * @param {string} ruleId - ID of the rule being moved
+ * @param {number} targetIndex - Index the rule should end up at
+ */
+function handleMoveRule(ruleId, targetIndex) {
+  const fromIndex = rules.findIndex(r => r.id === ruleId);
+  if (fromIndex === -1 || fromIndex === targetIndex) {
+    return;
+  }
+  
+  const [rule] = rules.splice(fromIndex, 1);
+  rules.splice(targetIndex, 0, rule);
+  renderRules();
+}
+
+/**
+ * Handle add condition to a condition group
+ */
+function handleAddCondition(group) {
+  group.conditions.push(createCondition());
+  renderRules();
+}
+
+/**
+ * Handle add nested condition group
+ */
+function handleAddConditionGroup(group) {
+  // Nested groups start with the opposite logic, since that is the usual reason to nest
+  group.conditions.push(createConditionGroup(group.logic === 'and' ? 'or' : 'and', [createCondition()]));
+  renderRules();
+}
+
+/**
+ * Handle remove condition or nested group
+ */
+function handleRemoveConditionNode(parentGroup, nodeId) {
+  parentGroup.conditions = parentGroup.conditions.filter(node => node.id !== nodeId);
+  renderRules();
+}
+
+// getSpanAttributes is now in rule-utils.js
+
+// getUniqueValuesForAttribute is now in rule-utils.js
+
+// createAutocompleteDatalist is now in rule-utils.js
+
+/**
+ * Render rules list
+ */
+function renderRules() {
+  // Clean up old datalists
+  document.querySelectorAll('datalist[id^="datalist-"]').forEach(dl => dl.remove());
+  
+  rulesContainer.innerHTML = '';
+  
+  if (rules.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'help-text';
+    emptyState.style.textAlign = 'center';
+    emptyState.style.padding = 'var(--spacing-xl)';
+    emptyState.textContent = 'No rules defined. Add a rule to customize sampling rates.';
+    rulesContainer.appendChild(emptyState);
+    return;
+  }
+
+  rules.forEach(rule => {
+    const ruleItem = document.createElement('div');
+    ruleItem.className = 'rule-item';
+    
+    ruleItem.innerHTML = `
+      <div class="rule-header">
+        <div class="rule-title-group">
+          <span class="rule-drag-handle" title="Drag to change priority">⋮⋮</span>
+          <span class="rule-priority" title="Priority (first match wins)">${rules.indexOf(rule) + 1}</span>
+          <span class="rule-title">Rule</span>
+          <span class="rule-enforceability-badge hidden" data-rule-id="${rule.id}" title="Head sampling decides per trace at the root transaction, so rules on span attributes can't be enforced by the SDK">Not enforceable by head sampling</span>
+          <span class="rule-grouping-badge hidden" data-rule-id="${rule.id}">Uses ungrouped attributes</span>
+        </div>
+        <button class="rule-delete" data-rule-id="${rule.id}" title="Delete rule">×</button>
+      </div>
+      <div class="rule-conditions"></div>
+      <div class="slider-container rule-rate">
+        <input 
+          type="range" 
+          class="slider" 
+          min="0" 
+          max="100" 
+          value="${rule.rate}"
+          data-rule-id="${rule.id}"
+          data-field="rate"
+        />
+        <div class="slider-labels">
+          <span>0%</span>
+          <span class="slider-value" data-rule-id="${rule.id}">${rule.rate}%</span>
+          <span>100%</span>
+        </div>
+      </div>
+      <div class="rule-solver-constraints">
+        <label>Min % <input type="number" class="input" min="0" max="100" step="1" placeholder="0" value="${typeof rule.minRate === 'number' && !isNaN(rule.minRate) ? rule.minRate : ''}" data-rule-id="${rule.id}" data-field="minRate" /></label>
+        <label>Max % <input type="number" class="input" min="0" max="100" step="1" placeholder="100" value="${typeof rule.maxRate === 'number' && !isNaN(rule.maxRate) ? rule.maxRate : ''}" data-rule-id="${rule.id}" data-field="maxRate" /></label>
+        <label class="checkbox-label"><input type="checkbox" ${rule.protected ? 'checked' : ''} data-rule-id="${rule.id}" data-field="protected" /> Protected (keep at 100%)</label>
+      </div>
+    `;
+    
+    ruleItem.querySelector('.rule-conditions').appendChild(renderConditionGroup(rule.match, null));
+    rulesContainer.appendChild(ruleItem);
+    attachRuleDragHandlers(ruleItem, rule);
+    
+    // Attach event listeners
+    const deleteBtn = ruleItem.querySelector('.rule-header .rule-delete');
+    deleteBtn.addEventListener('click', () => handleDeleteRule(rule.id));
+    
+    const rateSlider = ruleItem.querySelector('[data-field="rate"]');
+    const rateValue = ruleItem.querySelector('.slider-value[data-rule-id="' + rule.id + '"]');
+    rateSlider.addEventListener('input', (e) => {
+      const rate = parseFloat(e.target.value);
+      rateValue.textContent = `${rate}%`;
+      handleRuleChange(rule.id, 'rate', rate);
+    });
+    
+    // Empty limits fall back to the solver defaults (0% and 100%)
+    ['minRate', 'maxRate'].forEach(field => {
+      ruleItem.querySelector(`[data-field="${field}"]`).addEventListener('change', (e) => {
+        handleRuleChange(rule.id, field, e.target.value);
+      });
+    });
+    ruleItem.querySelector('[data-field="protected"]').addEventListener('change', (e) => {
+      handleRuleChange(rule.id, 'protected', e.target.checked);
+    });
+  });
+  
+  updateRuleEnforceabilityBadges();
+  updateRuleGroupingBadges();
+  updateSolverConstraintsVisibility();
+}
+
+/**
+ * Make a rule item reorderable by dragging its handle
+ * Only the handle starts a drag so text in the rule's inputs can still be selected
+ * @param {HTMLElement} ruleItem - The rule item element
+ * @param {Object} rule - The rule it renders
+ */
+function attachRuleDragHandlers(ruleItem, rule) {
+  const dragHandle = ruleItem.querySelector('.rule-drag-handle');
+  dragHandle.addEventListener('mousedown', () => {
+    ruleItem.draggable = true;
+  });
+  dragHandle.addEventListener('mouseup', () => {
+    ruleItem.draggable = false;
+  });
+  
+  ruleItem.addEventListener('dragstart', (e) => {
+    draggedRuleId = rule.id;
+    ruleItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(rule.id));
+  });
+  
+  ruleItem.addEventListener('dragend', () => {
+    draggedRuleId = null;
+    ruleItem.draggable = false;
+    ruleItem.classList.remove('dragging');
+    rulesContainer.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+  });
+  
+  ruleItem.addEventListener('dragover', (e) => {
+    if (draggedRuleId === null || draggedRuleId === rule.id) {
+      return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    ruleItem.classList.add('drag-over');
+  });
+  
+  ruleItem.addEventListener('dragleave', () => {
+    ruleItem.classList.remove('drag-over');
+  });
+  
+  ruleItem.addEventListener('drop', (e) => {
+    e.preventDefault();
+    ruleItem.classList.remove('drag-over');
+    if (draggedRuleId !== null) {
+      // Dropping on a rule takes over its priority position
+      handleMoveRule(draggedRuleId, rules.indexOf(rule));
+    }
+  });
+}
+
+/**
+ * Render a condition group editor, including nested groups
+ * @param {Object} group - Condition group to render
+ * @param {Object|null} parentGroup - Enclosing group, or null for a rule's root group
+ * @returns {HTMLElement} - The group element
+ */
+function renderConditionGroup(group, parentGroup) {
+  const groupEl = document.createElement('div');
+  groupEl.className = parentGroup ? 'condition-group condition-group-nested' : 'condition-group';
+  
+  groupEl.innerHTML = `
+    <div class="condition-group-header">
+      <select class="rule-select" data-group-id="${group.id}" data-field="logic">
+        <option value="and" ${group.logic === 'and' ? 'selected' : ''}>Match ALL (AND)</option>
+        <option value="or" ${group.logic === 'or' ? 'selected' : ''}>Match ANY (OR)</option>
+      </select>
+      <div class="condition-group-actions">
+        <button class="btn btn-secondary btn-sm" data-action="add-condition">+ Condition</button>
+        <button class="btn btn-secondary btn-sm" data-action="add-group">+ Group</button>
+        ${parentGroup ? '<button class="rule-delete" data-action="remove-group" title="Remove group">×</button>' : ''}
+      </div>
+    </div>
+    <div class="condition-list"></div>
+  `;
+  
+  // The root group must keep at least one condition
+  const canRemoveConditions = parentGroup !== null || group.conditions.length > 1;
+  const conditionList = groupEl.querySelector('.condition-list');
+  group.conditions.forEach(node => {
+    conditionList.appendChild(isConditionGroup(node)
+      ? renderConditionGroup(node, group)
+      : renderCondition(node, group, canRemoveConditions));
+  });
+  
+  // Only bind this group's own header; nested groups bind their own
+  const header = groupEl.querySelector('.condition-group-header');
+  header.querySelector('[data-field="logic"]').addEventListener('change', (e) => {
+    group.logic = e.target.value;
+  });
+  header.querySelector('[data-action="add-condition"]').addEventListener('click', () => handleAddCondition(group));
+  header.querySelector('[data-action="add-group"]').addEventListener('click', () => handleAddConditionGroup(group));
+  
+  const removeGroupBtn = header.querySelector('[data-action="remove-group"]');
+  if (removeGroupBtn) {
+    removeGroupBtn.addEventListener('click', () => handleRemoveConditionNode(parentGroup, group.id));
+  }
+  
+  return groupEl;
+}
+
+/**
+ * Render a single condition row (attribute, operator, value)
+ * @param {Object} condition - Condition to render
+ * @param {Object} parentGroup - Group containing the condition
+ * @param {boolean} removable - Whether to show the remove button
+ * @returns {HTMLElement} - The condition row element
+ */
+function renderCondition(condition, parentGroup, removable) {
+  const conditionRow = document.createElement('div');
+  conditionRow.className = 'condition-row';
+  
+  const ruleOperators = getRuleOperators();
+  const attribute = condition.attribute || 'span.op';
+  // Offer the attributes the data was grouped by, keeping the condition's own attribute selectable
+  const spanAttributes = getSpanAttributes(currentGroupBy);
+  if (!spanAttributes.some(attr => attr.value === attribute)) {
+    spanAttributes.push({ value: attribute, label: `${attribute} (not grouped)` });
+  }
+  const operator = condition.operator || 'contains';
+  
+  // Create autocomplete datalist
+  const datalist = createAutocompleteDatalist(currentSpanData, attribute, condition.id);
+  
+  conditionRow.innerHTML = `
+    <select class="rule-select" data-condition-id="${condition.id}" data-field="attribute">
+      ${spanAttributes.map(attr => 
+        `<option value="${attr.value}" ${attribute === attr.value ? 'selected' : ''}>${attr.label}</option>`
+      ).join('')}
+    </select>
+    <select class="rule-select" data-condition-id="${condition.id}" data-field="operator">
+      ${ruleOperators.map(op => 
+        `<option value="${op.value}" ${operator === op.value ? 'selected' : ''}>${op.label}</option>`
+      ).join('')}
+    </select>
+    <input 
+      type="text" 
+      class="input" 
+      placeholder="Enter value to match..."
+      data-condition-id="${condition.id}"
+      data-field="value"
+      list="datalist-${condition.id}-${attribute}"
+      autocomplete="off"
+    />
+    ${removable ? '<button class="rule-delete" data-action="remove-condition" title="Remove condition">×</button>' : '<span></span>'}
+  `;
+  
+  // Append datalist to document body so it's accessible
+  document.body.appendChild(datalist);
+  
+  const attributeSelect = conditionRow.querySelector('[data-field="attribute"]');
+  const operatorSelect = conditionRow.querySelector('[data-field="operator"]');
+  const valueInput = conditionRow.querySelector('[data-field="value"]');
+  // Values come from users, imported files and saved scenarios, so they're set as a property rather than markup
+  valueInput.value = condition.value || '';
+  
+  attributeSelect.addEventListener('change', (e) => {
+    const newAttribute = e.target.value;
+    condition.attribute = newAttribute;
+    
+    // Refresh autocomplete with values for the new attribute
+    updateAutocompleteForCondition(condition.id, newAttribute);
+    updateRuleEnforceabilityBadges();
+    updateRuleGroupingBadges();
+    
+    // Clear the value input when attribute changes
+    valueInput.value = '';
+    condition.value = '';
+    
+    console.log(`Updated autocomplete for condition ${condition.id} to attribute: ${newAttribute}`);
+  });
+  
+  operatorSelect.addEventListener('change', (e) => {
+    condition.operator = e.target.value;
+  });
+  
+  valueInput.addEventListener('input', (e) => {
+    condition.value = e.target.value;
+  });
+  valueInput.addEventListener('change', (e) => {
+    condition.value = e.target.value;
+  });
+  
+  const removeBtn = conditionRow.querySelector('[data-action="remove-condition"]');
+  if (removeBtn) {
+    removeBtn.addEventListener('click', () => handleRemoveConditionNode(parentGroup, condition.id));
+  }
+  
+  return conditionRow;
+}
+
+/**
+ * Update autocomplete datalist for a specific condition
+ * @param {string} conditionId - The condition ID
+ * @param {string} attribute - The new attribute
+ */
+function updateAutocompleteForCondition(conditionId, attribute) {
+  const valueInput = document.querySelector(`[data-condition-id="${conditionId}"][data-field="value"]`);
+  if (valueInput) {
+    const oldDatalistId = valueInput.getAttribute('list');
+    if (oldDatalistId) {
+      const oldDatalist = document.getElementById(oldDatalistId);
+      if (oldDatalist) {
+        oldDatalist.remove();
+      }
+    }
+    
+    const newDatalist = createAutocompleteDatalist(currentSpanData, attribute, conditionId);
+    document.body.appendChild(newDatalist);
+    valueInput.setAttribute('list', newDatalist.id);
+  }
+}
+
+/**
+ * Flag rules that head sampling can't enforce while trace-consistent mode is on
+ */
+function updateRuleEnforceabilityBadges() {
+  rules.forEach(rule => {
+    const badge = rulesContainer.querySelector(`.rule-enforceability-badge[data-rule-id="${rule.id}"]`);
+    if (badge) {
+      badge.classList.toggle('hidden', !traceAwareCheckbox.checked || isHeadSamplingRule(rule));
+    }
+  });
+}
+
+/**
+ * Flag rules with conditions on attributes the fetched data wasn't grouped by, since those conditions never match
+ */
+function updateRuleGroupingBadges() {
+  rules.forEach(rule => {
+    const badge = rulesContainer.querySelector(`.rule-grouping-badge[data-rule-id="${rule.id}"]`);
+    if (badge) {
+      const ungrouped = getUngroupedRuleAttributes(rule, currentGroupBy);
+      badge.classList.toggle('hidden', ungrouped.length === 0);
+      badge.title = `The fetched data isn't grouped by ${ungrouped.join(', ')}, so conditions on them never match. Add them under Group By and fetch again.`;
+    }
+  });
+}
+
+/**
+ * Show the per-rule min/max and protected inputs only while solving for per-rule rates
+ */
+function updateSolverConstraintsVisibility() {
+  rulesContainer.classList.toggle('show-solver-constraints', budgetSolveModeSelect.value === 'rules');
+}
+
+/**
+ * Solve for rates that keep the monthly projection within the entered budget and write them into the editor
+ * The solved rates are only applied to the editor; the results are recalculated so they can be reviewed
+ */
+function handleSolveBudget() {
+  if (!currentSpanData || currentSpanData.length === 0) {
+    showError(errorMessage, 'No span data available. Please fetch data first.');
+    return;
+  }
+  
+  syncRulesFromEditor();
+  const activeRules = getActiveRules(rules);
+  const monthlyBudget = parseFloat(budgetTargetInput.value);
+  const settings = {
+    expansionFactor: parseFloat(expansionFactorInput.value) || 1.0,
+    globalRate: parseFloat(globalRateSlider.value) / 100,
+    days: currentDays,
+    options: { autoSortBySpecificity: autoSortRulesCheckbox.checked, traceAware: traceAwareCheckbox.checked },
+  };
+  
+  let status;
+  try {
+    if (budgetSolveModeSelect.value === 'rules') {
+      if (activeRules.length === 0) {
+        throw new Error('Add at least one rule with a value to solve for per-rule rates');
+      }
+      const solution = solveRuleRatesForBudget(currentSpanData, activeRules, monthlyBudget, settings);
+      rules.forEach(rule => {
+        if (solution.rates[rule.id] !== undefined) {
+          rule.rate = solution.rates[rule.id];
+        }
+      });
+      status = solution.withinBudget
+        ? `Solved rule rates: ${formatNumber(solution.result.monthlySimulatedCount)} spans/month for a budget of ${formatNumber(monthlyBudget)}.`
+        : `Even with every rule at its minimum the projection is ${formatNumber(solution.result.monthlySimulatedCount)} spans/month, above the budget of ${formatNumber(monthlyBudget)}. Rules were set to their minimums; lower the limits, unprotect rules or lower the global rate.`;
+    } else {
+      const solution = solveGlobalRateForBudget(currentSpanData, activeRules, monthlyBudget, settings);
+      globalRateSlider.value = solution.globalRate;
+      handleGlobalRateChange();
+      status = solution.withinBudget
+        ? `Solved global rate: ${solution.globalRate}% gives ${formatNumber(solution.result.monthlySimulatedCount)} spans/month for a budget of ${formatNumber(monthlyBudget)}.`
+        : `Even at a 0% global rate the rules project ${formatNumber(solution.result.monthlySimulatedCount)} spans/month, above the budget of ${formatNumber(monthlyBudget)}. Lower the rule rates or solve for per-rule rates.`;
+    }
+  } catch (error) {
+    showError(errorMessage, `Solver error: ${error.message}`);
+    return;
+  }
+  
+  renderRules();
+  handleCalculate();
+  budgetSolverStatus.textContent = status;
 }
 
 /**
- * Handle successful span data fetch
+ * Handle SDK export - generate sampler code for the active rules in the selected language
  */
-function handleSpanDataSuccess(spanData, projectSlug) {
-  if (!spanData || spanData.length === 0) {
-    const projectText = projectSlug ? ` for project "${projectSlug}"` : '';
-    showError(errorMessage, `No span data found${projectText} for the selected time period`);
-    return;
-  }
-
-  // Log summary of fetched data
-  const totalSpans = spanData.reduce((sum, item) => sum + (item.count || 0), 0);
-  console.log(`Fetched ${spanData.length} span groups with total ${totalSpans.toLocaleString()} spans`);
+function handleExportSdk() {
+  syncRulesFromEditor();
   
-  if (spanData.length >= 100) {
-    console.warn('⚠️ Only showing top 100 span groups. The total count may not match Sentry UI if there are more groups.');
+  // Export in the order the simulator evaluates rules so what we simulated is what we ship
+  let activeRules = getActiveRules(rules);
+  if (autoSortRulesCheckbox.checked) {
+    activeRules = sortRulesBySpecificity(activeRules);
   }
-
-  currentSpanData = spanData;
+  const globalRate = parseFloat(globalRateSlider.value) / 100;
   
-  // Show rules section
-  showRulesSection(rulesSection, calculateBtn);
+  const generators = {
+    javascript: generateJavaScriptSampler,
+    python: generatePythonSampler,
+  };
+  const generate = generators[sdkLanguageSelect.value] || generateJavaScriptSampler;
+  const { code, warnings } = generate(activeRules, globalRate);
   
-  // Reset rules
-  rules = [];
-  renderRules();
+  sdkCodeOutput.value = code;
+  if (warnings.length > 0) {
+    sdkExportWarnings.innerHTML = `
+      Some rules can't be fully enforced by the SDK:
+      <ul>${warnings.map(warning => `<li>${warning}</li>`).join('')}</ul>
+    `;
+    sdkExportWarnings.classList.remove('hidden');
+  } else {
+    sdkExportWarnings.classList.add('hidden');
+  }
   
-  // Fetch and display current sample rates (pass null if no project selected)
-  fetchAndDisplaySampleRates(projectSlug || null);
-}
-
-/**
- * Handle add rule button click
- */
-function handleAddRule() {
-  rules.push(createRule({
-    attribute: 'span.op',
-    operator: 'contains',
-    value: '',
-    rate: 100,
-  }));
-  renderRules();
+  sdkExportSection.style.display = 'block';
+  sdkExportSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 /**
- * Handle delete rule
+ * Download the current rules, global rate and expansion factor as a rule set file
  */
-function handleDeleteRule(ruleId) {
-  rules = rules.filter(rule => rule.id !== ruleId);
-  renderRules();
+function handleExportRuleSet() {
+  const config = getCurrentScenarioConfig();
+  const name = scenarioNameInput.value.trim();
+  const ruleSet = buildRuleSetFile(
+    { ...config, rules: getActiveRules(config.rules) },
+    { name: name, author: ruleSetAuthorInput.value.trim() }
+  );
+  
+  const slug = (name || 'rule-set').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  downloadTextFile(JSON.stringify(ruleSet, null, 2), `${slug || 'rule-set'}.json`, 'application/json');
 }
 
 /**
- * Handle rule field change
+ * Import a rule set file chosen in the file picker, replacing the current rules
+ * Problems are listed per rule and leave the editor unchanged
+ * @param {Event} event - Change event from the file input
  */
-function handleRuleChange(ruleId, field, value) {
-  const rule = rules.find(r => r.id === ruleId);
-  if (rule) {
-    if (field === 'rate') {
-      rule[field] = parseFloat(value);
-    } else {
-      rule[field] = value;
+async function handleImportRuleSet(event) {
+  const file = event.target.files[0];
+  // Reset so picking the same file again (after fixing it) fires another change event
+  ruleSetFileInput.value = '';
+  if (!file) {
+    return;
+  }
+  
+  ruleSetErrors.classList.add('hidden');
+  ruleSetStatus.textContent = '';
+  let ruleSet;
+  try {
+    ruleSet = parseRuleSetFile(await file.text());
+  } catch (error) {
+    ruleSetErrors.textContent = `Could not import ${file.name}: ${error.message}`;
+    if (error.errors) {
+      const list = document.createElement('ul');
+      error.errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+      });
+      ruleSetErrors.appendChild(list);
     }
+    ruleSetErrors.classList.remove('hidden');
+    return;
+  }
+  
+  rules = ruleSet.rules;
+  if (ruleSet.globalRate !== undefined) {
+    globalRateSlider.value = ruleSet.globalRate;
+    handleGlobalRateChange();
+  }
+  if (ruleSet.expansionFactor !== undefined) {
+    expansionFactorInput.value = ruleSet.expansionFactor;
   }
+  if (ruleSet.autoSortBySpecificity !== undefined) {
+    autoSortRulesCheckbox.checked = !!ruleSet.autoSortBySpecificity;
+  }
+  // Simulate in the mode the file was written for, not whatever was selected before
+  traceAwareCheckbox.checked = ruleSet.traceAware;
+  if (ruleSet.metadata.name) {
+    scenarioNameInput.value = ruleSet.metadata.name;
+  }
+  
+  const details = [
+    ruleSet.metadata.author ? `by ${ruleSet.metadata.author}` : '',
+    ruleSet.metadata.createdAt ? `created ${new Date(ruleSet.metadata.createdAt).toLocaleDateString()}` : '',
+    ruleSet.migratedFrom ? `upgraded from format version ${ruleSet.migratedFrom}` : '',
+  ].filter(Boolean).join(', ');
+  ruleSetStatus.textContent = `Imported ${rules.length} rule(s) from ${file.name}${details ? ` (${details})` : ''}.`;
+  
+  renderRules();
 }
 
-// getSpanAttributes is now in rule-utils.js
-
-// getUniqueValuesForAttribute is now in rule-utils.js
-
-// createAutocompleteDatalist is now in rule-utils.js
-
 /**
- * Render rules list
+ * Handle copy button click for generated SDK code
  */
-function renderRules() {
-  // Clean up old datalists
-  document.querySelectorAll('datalist[id^="datalist-"]').forEach(dl => dl.remove());
-  
-  rulesContainer.innerHTML = '';
-  
-  if (rules.length === 0) {
-    const emptyState = document.createElement('div');
-    emptyState.className = 'help-text';
-    emptyState.style.textAlign = 'center';
-    emptyState.style.padding = 'var(--spacing-xl)';
-    emptyState.textContent = 'No rules defined. Add a rule to customize sampling rates.';
-    rulesContainer.appendChild(emptyState);
-    return;
+async function handleCopySdkCode() {
+  try {
+    await navigator.clipboard.writeText(sdkCodeOutput.value);
+    copySdkCodeBtn.textContent = 'Copied!';
+  } catch (error) {
+    // Fall back to selecting the text so it can be copied manually
+    sdkCodeOutput.select();
+    copySdkCodeBtn.textContent = 'Press Ctrl+C';
   }
-
-  const spanAttributes = getSpanAttributes();
-
-  rules.forEach(rule => {
-    const ruleItem = document.createElement('div');
-    ruleItem.className = 'rule-item';
-    
-    const attribute = rule.attribute || 'span.op';
-    const operator = rule.operator || 'contains';
-    
-    // Create autocomplete datalist
-    const datalist = createAutocompleteDatalist(currentSpanData, attribute, rule.id);
-    
-    ruleItem.innerHTML = `
-      <div class="rule-header">
-        <span class="rule-title">Rule ${rules.indexOf(rule) + 1}</span>
-        <button class="rule-delete" data-rule-id="${rule.id}" title="Delete rule">×</button>
-      </div>
-      <div class="rule-fields">
-        <select class="rule-select" data-rule-id="${rule.id}" data-field="attribute">
-          ${spanAttributes.map(attr => 
-            `<option value="${attr.value}" ${attribute === attr.value ? 'selected' : ''}>${attr.label}</option>`
-          ).join('')}
-        </select>
-        <select class="rule-select" data-rule-id="${rule.id}" data-field="operator">
-          <option value="contains" ${operator === 'contains' ? 'selected' : ''}>Contains</option>
-          <option value="equals" ${operator === 'equals' ? 'selected' : ''}>Equals</option>
-          <option value="starts_with" ${operator === 'starts_with' ? 'selected' : ''}>Starts With</option>
-          <option value="ends_with" ${operator === 'ends_with' ? 'selected' : ''}>Ends With</option>
-          <option value="regex" ${operator === 'regex' ? 'selected' : ''}>Regex</option>
-        </select>
-        <div style="position: relative;">
-          <input 
-            type="text" 
-            class="input" 
-            placeholder="Enter value to match..."
-            value="${rule.value || ''}"
-            data-rule-id="${rule.id}"
-            data-field="value"
-            list="datalist-${rule.id}-${attribute}"
-            autocomplete="off"
-          />
-        </div>
-        <div class="slider-container">
-          <input 
-            type="range" 
-            class="slider" 
-            min="0" 
-            max="100" 
-            value="${rule.rate || 100}"
-            data-rule-id="${rule.id}"
-            data-field="rate"
-          />
-          <div class="slider-labels">
-            <span>0%</span>
-            <span class="slider-value" data-rule-id="${rule.id}">${rule.rate || 100}%</span>
-            <span>100%</span>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    rulesContainer.appendChild(ruleItem);
-    
-    // Append datalist to document body so it's accessible
-    document.body.appendChild(datalist);
-    
-    // Attach event listeners
-    const deleteBtn = ruleItem.querySelector('.rule-delete');
-    deleteBtn.addEventListener('click', () => handleDeleteRule(rule.id));
-    
-    const attributeSelect = ruleItem.querySelector('[data-field="attribute"]');
-    const valueInput = ruleItem.querySelector('[data-field="value"]');
-    const operatorSelect = ruleItem.querySelector('[data-field="operator"]');
-    
-    attributeSelect.addEventListener('change', (e) => {
-      const newAttribute = e.target.value;
-      handleRuleChange(rule.id, 'attribute', newAttribute);
-      
-      // Remove old datalist
-      const oldDatalistId = valueInput.getAttribute('list');
-      if (oldDatalistId) {
-        const oldDatalist = document.getElementById(oldDatalistId);
-        if (oldDatalist) {
-          oldDatalist.remove();
-        }
-      }
-      
-      // Create new datalist for the new attribute with fresh unique values
-      const newDatalist = createAutocompleteDatalist(currentSpanData, newAttribute, rule.id);
-      document.body.appendChild(newDatalist);
-      valueInput.setAttribute('list', newDatalist.id);
-      
-      // Clear the value input when attribute changes
-      valueInput.value = '';
-      handleRuleChange(rule.id, 'value', '');
-      
-      console.log(`Updated autocomplete for rule ${rule.id} to attribute: ${newAttribute}`);
-    });
-    
-    operatorSelect.addEventListener('change', (e) => {
-      handleRuleChange(rule.id, 'operator', e.target.value);
-    });
-    
-    // Debug: Log unique values for this attribute
-    const uniqueValues = getUniqueValuesForAttribute(currentSpanData, attribute);
-    if (uniqueValues.length > 0) {
-      console.log(`Autocomplete for ${attribute}:`, uniqueValues.slice(0, 10), `... (${uniqueValues.length} total)`);
-    }
-    valueInput.addEventListener('input', (e) => {
-      handleRuleChange(rule.id, 'value', e.target.value);
-    });
-    valueInput.addEventListener('change', (e) => {
-      handleRuleChange(rule.id, 'value', e.target.value);
-    });
-    
-    const rateSlider = ruleItem.querySelector('[data-field="rate"]');
-    const rateValue = ruleItem.querySelector('.slider-value[data-rule-id="' + rule.id + '"]');
-    rateSlider.addEventListener('input', (e) => {
-      const rate = parseFloat(e.target.value);
-      rateValue.textContent = `${rate}%`;
-      handleRuleChange(rule.id, 'rate', rate);
-    });
-  });
+  setTimeout(() => {
+    copySdkCodeBtn.textContent = 'Copy';
+  }, 2000);
 }
 
 /**
- * Update autocomplete datalist for a specific rule
- * @param {string} ruleId - The rule ID
- * @param {string} attribute - The new attribute
+ * Sync all rule values from the rule editor inputs
  */
-function updateAutocompleteForRule(ruleId, attribute) {
-  const valueInput = document.querySelector(`[data-rule-id="${ruleId}"][data-field="value"]`);
-  if (valueInput) {
-    const oldDatalistId = valueInput.getAttribute('list');
-    if (oldDatalistId) {
-      const oldDatalist = document.getElementById(oldDatalistId);
-      if (oldDatalist) {
-        oldDatalist.remove();
-      }
-    }
-    
-    const newDatalist = createAutocompleteDatalist(currentSpanData, attribute, ruleId);
-    const ruleItem = valueInput.closest('.rule-item');
-    if (ruleItem) {
-      ruleItem.appendChild(newDatalist);
-      valueInput.setAttribute('list', newDatalist.id);
-    }
-  }
+function syncRulesFromEditor() {
+  syncRuleValuesFromDOM(
+    rules,
+    '[data-field="value"]',
+    '[data-field="attribute"]',
+    '[data-field="operator"]',
+    '[data-field="rate"]'
+  );
 }
 
 /**
@@ -650,13 +1960,7 @@ function handleCalculate() {
   }
 
   // Sync all rule values from inputs before calculation
-  syncRuleValuesFromDOM(
-    rules,
-    '[data-field="value"]',
-    '[data-field="attribute"]',
-    '[data-field="operator"]',
-    '[data-field="rate"]'
-  );
+  syncRulesFromEditor();
 
   // Filter out rules without values
   const activeRules = getActiveRules(rules);
@@ -673,7 +1977,8 @@ function handleCalculate() {
       activeRules,
       expansionFactor,
       globalRate,
-      currentDays
+      currentDays,
+      { autoSortBySpecificity: autoSortRulesCheckbox.checked, traceAware: traceAwareCheckbox.checked }
     );
 
     console.log('Calculation result:', result);
@@ -691,9 +1996,32 @@ function handleCalculate() {
       optimizedPeriodDesc: document.getElementById('optimized-period-desc'),
       monthlyBaselineDesc: document.getElementById('monthly-baseline-desc'),
       monthlyOptimizedDesc: document.getElementById('monthly-optimized-desc'),
-    }, currentDays);
+    }, currentDays, currentTimeRange.label);
+
+    // Update dollar costs for the new projection
+    lastResult = result;
+    updateCostDisplay();
+    updateTimeSeriesDisplay();
+
+    // Warn when rules ask for rates above what the SDK currently samples at
+    if (result.cappedGroupCount > 0) {
+      rateCapWarning.textContent = `${result.cappedGroupCount} span group(s) have a rule rate above their current client sample rate. Server-side sampling can't raise rates, so these groups stay at their current rate unless the SDK sample rate is increased.`;
+      rateCapWarning.classList.remove('hidden');
+    } else {
+      rateCapWarning.classList.add('hidden');
+    }
+
+    // List rules that trace-consistent mode skipped because head sampling can't enforce them
+    if (result.unenforceableRules.length > 0) {
+      traceAwareWarning.textContent = `Not enforceable by head sampling (skipped): ${result.unenforceableRules.join('; ')}. `
+        + `${result.ignoredRuleGroupCount} span group(s) matched one of these rules and use the next transaction-level rule or the global rate instead.`;
+      traceAwareWarning.classList.remove('hidden');
+    } else {
+      traceAwareWarning.classList.add('hidden');
+    }
 
     // Render breakdown
+    renderProjectSubtotals(result);
     renderBreakdown(result.breakdown);
 
     // Show results section
@@ -706,6 +2034,33 @@ function handleCalculate() {
   }
 }
 
+/**
+ * Render per-project subtotals when the data was fetched for several projects
+ * @param {Object} result - Result object from simulateSampling
+ */
+function renderProjectSubtotals(result) {
+  if (currentProjects.length < 2) {
+    projectSubtotalsSection.style.display = 'none';
+    return;
+  }
+  
+  projectSubtotalsContainer.innerHTML = '';
+  summarizeByProject(result).forEach(row => {
+    const subtotalItem = document.createElement('div');
+    subtotalItem.className = 'breakdown-item';
+    const label = row.project !== null ? row.project || '(unknown)' : 'Other spans (not in the top groups)';
+    subtotalItem.innerHTML = `
+      <div class="breakdown-col-label" title="${label}">${label}</div>
+      <div class="breakdown-col-value">${formatNumber(row.simulatedCount)}</div>
+      <div class="breakdown-col-value">${formatNumber(row.rawCount)}</div>
+      <div class="breakdown-col-value">${row.costReduction.toFixed(1)}%</div>
+    `;
+    projectSubtotalsContainer.appendChild(subtotalItem);
+  });
+  
+  projectSubtotalsSection.style.display = 'block';
+}
+
 /**
  * Filter breakdown data by search query
  */
@@ -720,6 +2075,7 @@ function filterAndPaginateBreakdown(searchQuery = '') {
     filteredBreakdownData = breakdownData.filter(item => {
       // Build searchable text from all attributes
       const searchableText = [
+        item['project'] || '',
         item['span.op'] || '',
         item['span.description'] || '',
         item['span.status'] || '',
@@ -762,6 +2118,29 @@ function renderBreakdown(breakdown) {
   renderBreakdownPage();
 }
 
+/**
+ * Build a display label for a breakdown item from its span attributes
+ * @param {Object} item - Breakdown item
+ * @returns {string} - Label (e.g. "op:db | desc:SELECT ... | env:production")
+ */
+function getBreakdownLabel(item) {
+  // Stratum remainders only know the stratified attribute
+  if (item.remainderOf) {
+    return `(other) ${item.remainderOf}:${item[item.remainderOf] || '(empty)'}`;
+  }
+  const parts = [];
+  if (item['project']) parts.push(`project:${item['project']}`);
+  if (item['span.op']) parts.push(`op:${item['span.op']}`);
+  if (item['span.description']) {
+    const desc = item['span.description'].substring(0, 60);
+    parts.push(`desc:${desc}${item['span.description'].length > 60 ? '...' : ''}`);
+  }
+  if (item['span.status']) parts.push(`status:${item['span.status']}`);
+  if (item['environment']) parts.push(`env:${item['environment']}`);
+  
+  return parts.length > 0 ? parts.join(' | ') : 'Unknown';
+}
+
 /**
  * Render current page of breakdown data
  */
@@ -795,25 +2174,26 @@ function renderBreakdownPage() {
     const breakdownItem = document.createElement('div');
     breakdownItem.className = 'breakdown-item';
     
-    // Build label from span attributes
-    const parts = [];
-    if (item['span.op']) parts.push(`op:${item['span.op']}`);
-    if (item['span.description']) {
-      const desc = item['span.description'].substring(0, 60);
-      parts.push(`desc:${desc}${item['span.description'].length > 60 ? '...' : ''}`);
-    }
-    if (item['span.status']) parts.push(`status:${item['span.status']}`);
-    if (item['environment']) parts.push(`env:${item['environment']}`);
-    
-    const label = parts.length > 0 ? parts.join(' | ') : 'Unknown';
+    const label = getBreakdownLabel(item);
     
+    const currentRateText = item.currentRate !== null && item.currentRate !== undefined
+      ? `${(item.currentRate * 100).toFixed(1)}%`
+      : 'N/A';
     const ratePercent = (item.samplingRate * 100).toFixed(1);
+    // Flag groups whose rule asks for more than the SDK currently sends
+    let rateCell = item.exceedsCurrentRate
+      ? `<span class="rate-capped" title="Rule rate ${(item.targetRate * 100).toFixed(1)}% is above the current client sample rate and needs an SDK change">${ratePercent}% ⚠</span>`
+      : `${ratePercent}%`;
+    if (item.ignoredRule) {
+      rateCell = `<span class="rate-capped" title="Matches ${item.ignoredRule}, which head sampling can't enforce">${rateCell} ⓘ</span>`;
+    }
     
     breakdownItem.innerHTML = `
       <div class="breakdown-col-label" title="${label}">${label}</div>
       <div class="breakdown-col-value">${formatNumber(item.simulatedCount)}</div>
       <div class="breakdown-col-value">${formatNumber(item.rawCount)}</div>
-      <div class="breakdown-col-value">${ratePercent}%</div>
+      <div class="breakdown-col-value">${currentRateText}</div>
+      <div class="breakdown-col-value">${rateCell}</div>
     `;
     
     breakdownContainer.appendChild(breakdownItem);
@@ -830,6 +2210,196 @@ function renderBreakdownPage() {
   }
 }
 
+/**
+ * Download the breakdown rows matching the current search, plus the simulation totals
+ * @param {string} format - 'csv' or 'json'
+ */
+function handleExportBreakdown(format) {
+  if (!lastResult) {
+    showError(errorMessage, 'Run a calculation before exporting the breakdown.');
+    return;
+  }
+  
+  const orgSlug = orgSlugInput.value.trim() || 'sentry';
+  const filename = `span-breakdown-${orgSlug}-${currentTimeRange.slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  
+  if (format === 'json') {
+    const json = buildBreakdownJson(filteredBreakdownData, lastResult, {
+      orgSlug: orgSlugInput.value.trim(),
+      projects: currentProjects.map(project => project.slug),
+      days: currentDays,
+      period: currentTimeRange.label,
+      ...getTimeRangeOptions(currentTimeRange),
+      spanQuery: currentSpanQuery,
+      searchQuery: breakdownSearch.value.trim(),
+    });
+    downloadTextFile(json, filename, 'application/json');
+  } else {
+    downloadTextFile(buildBreakdownCsv(filteredBreakdownData, lastResult), filename, 'text/csv');
+  }
+}
+
+/**
+ * Render the rule set checkboxes for the comparison view, keeping existing selections
+ */
+function renderComparisonChoices() {
+  const selected = new Set(
+    Array.from(comparisonChoices.querySelectorAll('input:checked')).map(input => input.value)
+  );
+  
+  comparisonChoices.innerHTML = '';
+  const choices = [{ id: CURRENT_RULES_CHOICE, name: 'Current rules (editor)' }, ...scenarios];
+  
+  choices.forEach(choice => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    label.innerHTML = `
+      <input type="checkbox" value="${escapeHtml(choice.id)}" ${selected.has(choice.id) ? 'checked' : ''} />
+      ${escapeHtml(choice.name)}
+    `;
+    comparisonChoices.appendChild(label);
+  });
+}
+
+/**
+ * Collect the rule sets selected for comparison
+ * @returns {Array} - Array of { name, rules, globalRate, expansionFactor, autoSortBySpecificity, traceAware }
+ */
+function getSelectedComparisonRuleSets() {
+  const selectedIds = Array.from(comparisonChoices.querySelectorAll('input:checked')).map(input => input.value);
+  
+  return selectedIds.map(id => {
+    if (id === CURRENT_RULES_CHOICE) {
+      return { ...getCurrentScenarioConfig(), name: 'Current rules' };
+    }
+    return scenarios.find(s => s.id === id);
+  }).filter(Boolean);
+}
+
+/**
+ * Handle compare button click - simulate each selected rule set against the same span data
+ */
+function handleCompare() {
+  if (!currentSpanData || currentSpanData.length === 0) {
+    showError(errorMessage, 'No span data available. Please fetch data first.');
+    return;
+  }
+  
+  const ruleSets = getSelectedComparisonRuleSets();
+  if (ruleSets.length < 2) {
+    showError(errorMessage, 'Select at least two rule sets to compare.');
+    return;
+  }
+  
+  try {
+    comparisonRuns = ruleSets.map(ruleSet => {
+      const result = simulateSampling(
+        currentSpanData,
+        getActiveRules(ruleSet.rules),
+        ruleSet.expansionFactor || 1.0,
+        ruleSet.globalRate / 100,
+        currentDays,
+        { autoSortBySpecificity: !!ruleSet.autoSortBySpecificity, traceAware: !!ruleSet.traceAware }
+      );
+      return {
+        name: ruleSet.name,
+        result: result,
+        costs: calculateCostComparison(result, pricingConfig),
+      };
+    });
+    
+    renderComparisonSummary();
+    renderComparisonDiff();
+    comparisonResults.style.display = 'block';
+    hideError(errorMessage);
+  } catch (error) {
+    console.error('Comparison error:', error);
+    showError(errorMessage, `Comparison error: ${error.message}`);
+  }
+}
+
+/**
+ * Render the side-by-side totals for the last comparison
+ */
+function renderComparisonSummary() {
+  const columns = `2fr repeat(${comparisonRuns.length}, 1fr)`;
+  const metrics = [
+    { label: 'Baseline Usage', value: run => formatNumber(run.result.totalRawCount) },
+    { label: 'Optimized Usage', value: run => formatNumber(run.result.totalSimulatedCount) },
+    { label: 'Monthly Baseline', value: run => formatNumber(run.result.monthlyRawCount) },
+    { label: 'Monthly Optimized', value: run => formatNumber(run.result.monthlySimulatedCount) },
+    { label: 'Cost Reduction', value: run => `${run.result.costReduction.toFixed(1)}%` },
+    { label: 'Optimized Cost', value: run => formatCurrency(run.costs.optimizedCost) },
+    { label: 'Savings', value: run => formatCurrency(run.costs.savings) },
+  ];
+  
+  comparisonSummary.innerHTML = `
+    <div class="breakdown-header" style="grid-template-columns: ${columns};">
+      <div class="breakdown-col-label">Metric</div>
+      ${comparisonRuns.map(run => `<div class="breakdown-col-value">${escapeHtml(run.name)}</div>`).join('')}
+    </div>
+    <div class="breakdown-body">
+      ${metrics.map(metric => `
+        <div class="breakdown-item" style="grid-template-columns: ${columns};">
+          <div class="breakdown-col-label">${metric.label}</div>
+          ${comparisonRuns.map(run => `<div class="breakdown-col-value">${metric.value(run)}</div>`).join('')}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the per-group sampling rate diff for the last comparison
+ */
+function renderComparisonDiff() {
+  const columns = `2fr 1fr repeat(${comparisonRuns.length}, 1fr)`;
+  const allRows = buildComparisonDiff(comparisonRuns.map(run => run.result))
+    .sort((a, b) => b.rawCount - a.rawCount);
+  const rows = comparisonDiffOnly.checked ? allRows.filter(row => row.differs) : allRows;
+  const differingCount = allRows.filter(row => row.differs).length;
+  
+  comparisonDiff.innerHTML = `
+    <div class="breakdown-header" style="grid-template-columns: ${columns};">
+      <div class="breakdown-col-label">Span Group (${differingCount} of ${allRows.length} differ)</div>
+      <div class="breakdown-col-value">Baseline</div>
+      ${comparisonRuns.map(run => `<div class="breakdown-col-value">${escapeHtml(run.name)}</div>`).join('')}
+    </div>
+  `;
+  
+  if (rows.length === 0) {
+    const emptyItem = document.createElement('div');
+    emptyItem.className = 'breakdown-item';
+    emptyItem.style.color = 'var(--gray-500)';
+    emptyItem.innerHTML = '<div class="breakdown-col-label" style="grid-column: 1 / -1;">All scenarios apply the same rate to every group</div>';
+    comparisonDiff.appendChild(emptyItem);
+    return;
+  }
+  
+  rows.slice(0, MAX_COMPARISON_ROWS).forEach(row => {
+    // Span descriptions and rule values are arbitrary text
+    const label = escapeHtml(getBreakdownLabel(row.item));
+    const rowItem = document.createElement('div');
+    rowItem.className = row.differs ? 'breakdown-item comparison-row-differs' : 'breakdown-item';
+    rowItem.style.gridTemplateColumns = columns;
+    rowItem.innerHTML = `
+      <div class="breakdown-col-label" title="${label}">${label}</div>
+      <div class="breakdown-col-value">${formatNumber(row.rawCount)}</div>
+      ${row.rates.map((rate, index) => `
+        <div class="breakdown-col-value" title="${escapeHtml(row.matchedRules[index])}">${(rate * 100).toFixed(1)}%</div>
+      `).join('')}
+    `;
+    comparisonDiff.appendChild(rowItem);
+  });
+  
+  if (rows.length > MAX_COMPARISON_ROWS) {
+    const moreItem = document.createElement('div');
+    moreItem.className = 'breakdown-item';
+    moreItem.innerHTML = `<div class="breakdown-col-label" style="grid-column: 1 / -1; color: var(--gray-500);">... and ${rows.length - MAX_COMPARISON_ROWS} more groups</div>`;
+    comparisonDiff.appendChild(moreItem);
+  }
+}
+
 // Error handling functions are now in ui-utils.js
 
 // Initialize on load
@@ -4,6 +4,59 @@
  */
 
 const SENTRY_API_BASE = 'https://sentry.io/api/0';
+// Fallback region for sentry.io organizations whose region can't be determined
+const DEFAULT_REGION_URL = 'https://us.sentry.io';
+// Region hosts used by sentry.io (e.g. de.sentry.io for EU organizations)
+const SENTRY_REGION_HOST_PATTERN = /^(us|de)\.sentry\.io$/;
+// chrome.storage.local key holding the self-hosted Sentry base URL
+const STORAGE_KEY_BASE_URL = 'sentryBaseUrl';
+// chrome.storage.local key holding the optional Sentry auth token
+const STORAGE_KEY_AUTH_TOKEN = 'sentryAuthToken';
+// Token scopes needed to list projects and query span data
+const REQUIRED_TOKEN_SCOPES = ['org:read', 'project:read'];
+
+// Grouped span queries are paged at Sentry's maximum page size
+const GROUPS_PER_PAGE = 100;
+// Default cap on the number of span groups fetched across all pages
+const DEFAULT_MAX_GROUPS = 1000;
+// Upper bound on the group cap, whatever a page asks for (matches the max of the app's input)
+const MAX_GROUPS = 10000;
+// Span attributes grouped queries can split by, in query order (same list as getSpanAttributes in rule-utils.js)
+const SPAN_GROUP_BY_FIELDS = [
+  'span.op',
+  'span.description',
+  'span.status',
+  'span.status_code',
+  'span.domain',
+  'span.action',
+  'span.module',
+  'span.system',
+  'transaction',
+  'transaction.op',
+  'transaction.method',
+  'environment',
+  'release',
+];
+// Top values of the stratified attribute fetched by default
+const DEFAULT_MAX_STRATA = 10;
+// Strata whose groups are fetched at the same time
+const STRATIFIED_FETCH_CONCURRENCY = 3;
+// Responses worth retrying: rate limited, or a gateway error that usually clears up
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Attempts per request, including the first one
+const MAX_REQUEST_ATTEMPTS = 5;
+// Backoff delay before the first retry; doubles with each further attempt
+const RETRY_BASE_DELAY_MS = 1000;
+// Longest wait before a retry; a server asking to wait longer fails the request instead
+const RETRY_MAX_DELAY_MS = 60000;
+// chrome.storage.local key holding cached fetchSpanUsage results
+const STORAGE_KEY_SPAN_USAGE_CACHE = 'spanUsageCache';
+// chrome.storage.local key holding how long cached results are reused, in minutes
+const STORAGE_KEY_CACHE_TTL = 'cacheTtlMinutes';
+// Cache lifetime used until one is configured
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+// Older cached results are dropped beyond this many, to stay within the storage quota
+const MAX_CACHED_SPAN_USAGE_RESULTS = 5;
 
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
@@ -26,13 +79,106 @@ chrome.action.onClicked.addListener((tab) => {
   });
 });
 
+// Region URLs don't change for an organization, so cache lookups for the worker's lifetime
+const regionUrlCache = new Map();
+
+// Time (ms) until which Sentry's rate limit headers said no requests are left; later requests wait for it
+let rateLimitedUntil = 0;
+
+/**
+ * Get the configured self-hosted Sentry base URL, if any
+ * @returns {Promise<string|null>} - Base URL without trailing slash, or null for sentry.io
+ */
+async function getCustomBaseUrl() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_BASE_URL);
+  const baseUrl = stored[STORAGE_KEY_BASE_URL];
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Determine the region URL (e.g. https://de.sentry.io) for a sentry.io organization
+ * Uses the hint from the Sentry tab URL when available, otherwise the organization's region metadata
+ * @param {string} orgSlug - Organization slug
+ * @param {string} regionUrlHint - Optional region URL detected from the Sentry tab
+ * @returns {Promise<string>} - Region URL without trailing slash
+ */
+async function getRegionUrl(orgSlug, regionUrlHint = null) {
+  if (regionUrlCache.has(orgSlug)) {
+    return regionUrlCache.get(orgSlug);
+  }
+
+  if (regionUrlHint) {
+    try {
+      if (SENTRY_REGION_HOST_PATTERN.test(new URL(regionUrlHint).hostname)) {
+        regionUrlCache.set(orgSlug, regionUrlHint.replace(/\/+$/, ''));
+        return regionUrlCache.get(orgSlug);
+      }
+    } catch (e) {
+      console.warn('Ignoring invalid region URL hint:', regionUrlHint);
+    }
+  }
+
+  try {
+    const auth = await getAuthFetchOptions();
+    const response = await fetchWithRetry(`${SENTRY_API_BASE}/organizations/${orgSlug}/`, {
+      method: 'GET',
+      headers: auth.headers,
+      credentials: auth.credentials,
+    }, 'the organization region');
+
+    if (response.ok) {
+      const data = await response.json();
+      const regionUrl = data.links?.regionUrl;
+      if (regionUrl) {
+        console.log(`Organization ${orgSlug} is hosted in region: ${regionUrl}`);
+        regionUrlCache.set(orgSlug, regionUrl.replace(/\/+$/, ''));
+        return regionUrlCache.get(orgSlug);
+      }
+    } else {
+      console.warn(`Could not load region metadata for ${orgSlug} (${response.status})`);
+    }
+  } catch (error) {
+    console.warn('Could not load organization region metadata:', error);
+  }
+
+  return DEFAULT_REGION_URL;
+}
+
+/**
+ * Resolve the API base URLs to use for an organization
+ * Self-hosted installs serve everything from the configured base URL; sentry.io splits
+ * organization-level endpoints (sentry.io) from data endpoints (region host)
+ * @param {string} orgSlug - Organization slug
+ * @param {string} regionUrlHint - Optional region URL detected from the Sentry tab
+ * @returns {Promise<Object>} - { apiBase, regionApiBase, cookieUrl }
+ */
+async function resolveApiBases(orgSlug, regionUrlHint = null) {
+  const customBaseUrl = await getCustomBaseUrl();
+  if (customBaseUrl) {
+    return {
+      apiBase: `${customBaseUrl}/api/0`,
+      regionApiBase: `${customBaseUrl}/api/0`,
+      cookieUrl: customBaseUrl,
+    };
+  }
+
+  const regionUrl = await getRegionUrl(orgSlug, regionUrlHint);
+  return {
+    apiBase: SENTRY_API_BASE,
+    regionApiBase: `${regionUrl}/api/0`,
+    cookieUrl: null,
+  };
+}
+
 /**
  * Get Sentry session cookies from browser
+ * @param {string} cookieUrl - Optional self-hosted Sentry URL to read cookies for (default: *.sentry.io)
  * @returns {Promise<string>} - Cookie header string
  */
-async function getSentryCookies() {
+async function getSentryCookies(cookieUrl = null) {
   return new Promise((resolve, reject) => {
-    chrome.cookies.getAll({ domain: '.sentry.io' }, (cookies) => {
+    const cookieQuery = cookieUrl ? { url: cookieUrl } : { domain: '.sentry.io' };
+    chrome.cookies.getAll(cookieQuery, (cookies) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
         return;
@@ -53,6 +199,304 @@ async function getSentryCookies() {
   });
 }
 
+/**
+ * Get the stored Sentry auth token, if the user has configured one
+ * @returns {Promise<string|null>} - Auth token, or null when using browser session cookies
+ */
+async function getAuthToken() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_AUTH_TOKEN);
+  return stored[STORAGE_KEY_AUTH_TOKEN] || null;
+}
+
+/**
+ * Build the fetch options that authenticate a Sentry API request
+ * Uses a Bearer header when an auth token is stored, otherwise the browser session cookies
+ * @param {string} cookieUrl - Optional self-hosted Sentry URL to read cookies for
+ * @returns {Promise<Object>} - { headers, credentials } to spread into fetch options
+ */
+async function getAuthFetchOptions(cookieUrl = null) {
+  const authToken = await getAuthToken();
+  if (authToken) {
+    return {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      credentials: 'omit',
+    };
+  }
+
+  const cookieString = await getSentryCookies(cookieUrl);
+  return {
+    headers: { 'Cookie': cookieString },
+    credentials: 'include',
+  };
+}
+
+/**
+ * Validate an auth token against Sentry and check it has the scopes the extension needs
+ * @param {string} authToken - Sentry auth token to validate
+ * @returns {Promise<Array<string>>} - Scopes granted to the token
+ */
+async function validateAuthToken(authToken) {
+  if (!authToken) {
+    throw new Error('Auth token is required');
+  }
+
+  const customBaseUrl = await getCustomBaseUrl();
+  const apiBase = customBaseUrl ? `${customBaseUrl}/api/0` : SENTRY_API_BASE;
+
+  let response;
+  try {
+    response = await fetchWithRetry(`${apiBase}/`, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      credentials: 'omit',
+    }, 'the auth token check');
+  } catch (error) {
+    if (error instanceof TypeError) {
+      throw new Error('Network error. Please check your internet connection.');
+    }
+    throw error;
+  }
+
+  if (response.status === 401) {
+    throw new Error('Sentry rejected the auth token. Please check that it is valid and not expired.');
+  } else if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+  }
+
+  const data = await response.json();
+  const scopes = data.auth?.scopes || [];
+
+  // Write and admin scopes imply read access to the same resource
+  const missingScopes = REQUIRED_TOKEN_SCOPES.filter(required => {
+    const resource = required.split(':')[0];
+    return !['read', 'write', 'admin'].some(level => scopes.includes(`${resource}:${level}`));
+  });
+
+  if (missingScopes.length > 0) {
+    throw new Error(`The auth token is missing required scopes: ${missingScopes.join(', ')}. Create a token with ${REQUIRED_TOKEN_SCOPES.join(' and ')} access.`);
+  }
+
+  return scopes;
+}
+
+/**
+ * Wait before retrying a request, stopping early if the request is cancelled
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} signal - Optional signal that cancels the wait
+ * @returns {Promise<void>} - Resolves after the wait, rejects with an AbortError when cancelled
+ */
+function waitForRetry(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Tell open extension pages that a request is waiting before it is retried
+ * @param {Object} status - { label, reason, waitMs, attempt, maxAttempts }
+ */
+function notifyFetchWaitStatus(status) {
+  // Nobody may be listening (e.g. the popup closed), which is fine
+  chrome.runtime.sendMessage({ action: 'fetchWaitStatus', ...status }).catch(() => {});
+}
+
+/**
+ * Read how long Sentry asks us to wait before the next request
+ * Uses Retry-After (seconds or an HTTP date), then X-Sentry-Rate-Limit-Reset (epoch seconds)
+ * @param {Response} response - Fetch response
+ * @returns {number|null} - Wait in milliseconds, or null if the response doesn't say
+ */
+function getServerRetryDelayMs(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!isNaN(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+
+  const reset = Number(response.headers.get('X-Sentry-Rate-Limit-Reset'));
+  if (reset > 0) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Remember when Sentry's rate limit window resets if a response used up the remaining requests
+ * @param {Response} response - Fetch response
+ */
+function recordRateLimitHeaders(response) {
+  const remaining = response.headers.get('X-Sentry-Rate-Limit-Remaining');
+  const reset = Number(response.headers.get('X-Sentry-Rate-Limit-Reset'));
+  if (remaining !== null && Number(remaining) <= 0 && reset > 0) {
+    rateLimitedUntil = Math.max(rateLimitedUntil, reset * 1000);
+  }
+}
+
+/**
+ * Fetch a Sentry API URL, retrying rate limits, gateway errors and network errors
+ * Retries use exponential backoff with jitter unless Sentry says how long to wait. Waits are reported to
+ * open extension pages as 'fetchWaitStatus' messages so they can show them instead of failing.
+ * Cancelling through init.signal stops the request and any wait, and is never retried. When an earlier response
+ * reported a rate limit that resets later than the longest retry wait, it fails right away instead of waiting.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options (including an optional AbortSignal as init.signal)
+ * @param {string} label - What is being fetched, for status messages (e.g. "span groups")
+ * @returns {Promise<Response>} - The first non-retryable response, or the last response once attempts run out
+ */
+async function fetchWithRetry(url, init, label) {
+  for (let attempt = 1; ; attempt++) {
+    const rateLimitWait = rateLimitedUntil - Date.now();
+    if (rateLimitWait > RETRY_MAX_DELAY_MS) {
+      // Waiting minutes for the limit to reset would look like a hang
+      const error = new Error(`Sentry rate limit reached while fetching ${label}. The limit resets in about ${Math.ceil(rateLimitWait / 1000)} seconds; please try again then.`);
+      error.status = 429;
+      throw error;
+    }
+    if (rateLimitWait > 0) {
+      notifyFetchWaitStatus({ label, reason: 'Sentry rate limit reached', waitMs: rateLimitWait, attempt, maxAttempts: MAX_REQUEST_ATTEMPTS });
+      await waitForRetry(rateLimitWait, init.signal);
+    }
+
+    let response = null;
+    let networkError = null;
+    try {
+      response = await fetch(url, init);
+      recordRateLimitHeaders(response);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      networkError = error;
+    }
+
+    if (response && !RETRYABLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+    if (attempt >= MAX_REQUEST_ATTEMPTS) {
+      if (networkError) {
+        throw networkError;
+      }
+      return response;
+    }
+
+    // Full backoff window for this attempt, with up to half of it taken off at random
+    const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    const serverDelay = response ? getServerRetryDelayMs(response) : null;
+    if (serverDelay !== null && serverDelay > RETRY_MAX_DELAY_MS) {
+      // Waiting minutes would look like a hang - let the caller report the error
+      return response;
+    }
+    const waitMs = serverDelay !== null ? serverDelay : backoff * (0.5 + Math.random() * 0.5);
+
+    const reason = networkError
+      ? 'Network error'
+      : response.status === 429 ? 'Sentry rate limit reached' : `Sentry returned ${response.status}`;
+    console.warn(`${reason} while fetching ${label}; retrying in ${Math.round(waitMs)}ms (attempt ${attempt + 1} of ${MAX_REQUEST_ATTEMPTS})`);
+    notifyFetchWaitStatus({ label, reason, waitMs, attempt: attempt + 1, maxAttempts: MAX_REQUEST_ATTEMPTS });
+    await waitForRetry(waitMs, init.signal);
+  }
+}
+
+/**
+ * Extract the next page cursor from a Sentry `Link` response header
+ * @param {string|null} linkHeader - Value of the Link header
+ * @returns {string|null} - Cursor for the next page, or null if there are no more results
+ */
+function parseNextCursor(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  // Format: <url>; rel="previous"; results="false"; cursor="0:0:1", <url>; rel="next"; results="true"; cursor="0:100:0"
+  for (const link of linkHeader.split(',')) {
+    if (!link.includes('rel="next"')) {
+      continue;
+    }
+    if (!link.includes('results="true"')) {
+      return null;
+    }
+    const cursorMatch = link.match(/cursor="([^"]+)"/);
+    return cursorMatch ? cursorMatch[1] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Add the query time range to request parameters
+ * An absolute range (options.start/options.end) wins over a relative period (options.statsPeriod, then days)
+ * @param {URLSearchParams} params - Request parameters (appended to)
+ * @param {number} days - Number of days to look back
+ * @param {Object} options - { start, end, statsPeriod }
+ */
+function appendTimeRangeParams(params, days, options = {}) {
+  if (options.start && options.end) {
+    params.append('start', options.start);
+    params.append('end', options.end);
+  } else {
+    params.append('statsPeriod', options.statsPeriod || `${days}d`);
+  }
+}
+
+/**
+ * Resolve the projects to query into a list of project IDs
+ * options.projectIds (multi-project selection) wins over a single projectId/projectSlug
+ * @param {string} orgSlug - Organization slug
+ * @param {string} projectSlug - Optional project slug
+ * @param {string} projectId - Optional project ID
+ * @param {Object} options - { projectIds }
+ * @returns {Promise<Array<string>>} - Project IDs; empty means all projects
+ */
+async function resolveProjectIds(orgSlug, projectSlug = null, projectId = null, options = {}) {
+  if (Array.isArray(options.projectIds) && options.projectIds.length > 0) {
+    return options.projectIds.map(String);
+  }
+  if (projectId) {
+    return [String(projectId)];
+  }
+  if (projectSlug) {
+    try {
+      const projects = await fetchProjects(orgSlug);
+      const project = projects.find(p => p.slug === projectSlug);
+      if (project && project.id) {
+        console.log(`Found project ID ${project.id} for slug ${projectSlug}`);
+        return [String(project.id)];
+      }
+    } catch (error) {
+      console.warn('Could not fetch projects to get ID:', error);
+    }
+  }
+  return [];
+}
+
+/**
+ * Add one project parameter per project ID to request parameters
+ * @param {URLSearchParams} params - Request parameters (appended to)
+ * @param {Array<string>} projectIds - Project IDs; empty means all projects
+ * @param {string} allProjectsValue - Value to send for all projects (e.g. '-1'), or null to send nothing
+ */
+function appendProjectParams(params, projectIds, allProjectsValue = null) {
+  if (projectIds.length > 0) {
+    projectIds.forEach(id => params.append('project', id));
+  } else if (allProjectsValue) {
+    params.append('project', allProjectsValue);
+  }
+}
+
 /**
  * Fetch projects for an organization
  * @param {string} orgSlug - Organization slug
@@ -63,31 +507,34 @@ async function fetchProjects(orgSlug) {
     throw new Error('Organization slug is required');
   }
 
-  const endpoint = `${SENTRY_API_BASE}/organizations/${orgSlug}/projects/`;
+  const { apiBase, cookieUrl } = await resolveApiBases(orgSlug);
+  const endpoint = `${apiBase}/organizations/${orgSlug}/projects/`;
   
-  // Get session cookies for authentication
-  const cookieString = await getSentryCookies();
+  // Get session cookies or auth token for authentication
+  const auth = await getAuthFetchOptions(cookieUrl);
   
   const headers = {
     'Content-Type': 'application/json',
-    'Cookie': cookieString,
+    ...auth.headers,
   };
 
   try {
-    const response = await fetch(endpoint, {
+    const response = await fetchWithRetry(endpoint, {
       method: 'GET',
       headers: headers,
-      credentials: 'include',
-    });
+      credentials: auth.credentials,
+    }, 'projects');
 
     if (!response.ok) {
       if (response.status === 401) {
-        throw new Error('Authentication failed. Please ensure you are logged into Sentry in this browser.');
+        throw new Error('Authentication failed. Please ensure you are logged into Sentry in this browser, or that your auth token is still valid.');
       } else if (response.status === 403) {
         throw new Error('Access forbidden. Please ensure you have access to this organization.');
       } else {
         const errorText = await response.text();
-        throw new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+        const error = new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+        error.status = response.status;
+        throw error;
       }
     }
 
@@ -108,19 +555,50 @@ async function fetchProjects(orgSlug) {
  * @param {number} days - Number of days to query
  * @param {string} projectSlug - Optional project slug to filter by
  * @param {string} projectId - Optional project ID to filter by
- * @returns {Promise<Array>} - Array of span data objects
+ * @param {Object} options - Optional fetch options
+ * @param {number} options.maxGroups - Maximum number of span groups to page through (default: 1000, at most MAX_GROUPS)
+ * @param {string} options.regionUrl - Region URL detected from the Sentry tab (e.g. https://de.sentry.io)
+ * @param {string} options.statsPeriod - Relative period overriding days (e.g. "14d", "12h")
+ * @param {string} options.start - Absolute range start (ISO 8601), used together with options.end
+ * @param {string} options.end - Absolute range end (ISO 8601)
+ * @param {Array<string>} options.projectIds - Project IDs to query together; groups are split per project when more than one
+ * @param {string} options.query - Sentry span search query (e.g. "environment:production !span.op:ui.*") scoping both the total and the groups
+ * @param {Array<string>} options.groupBy - Span attributes to group by (default: all of SPAN_GROUP_BY_FIELDS);
+ *   fewer attributes mean fewer, larger groups, so the fetched groups cover more of the volume
+ * @param {string} options.stratifyBy - Span attribute to stratify by (e.g. "span.op"): its top values are fetched
+ *   first, then the groups within each value, sharing the group cap; spans outside a value's fetched groups are
+ *   returned as one remainder row per value (marked with remainderOf), so rules on that attribute still match them
+ * @param {number} options.maxStrata - Number of top values to stratify by (default: DEFAULT_MAX_STRATA); lowered so
+ *   every value gets at least one group within options.maxGroups. Remainder rows carry the count-weighted client
+ *   sample rate of their value's fetched groups
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {Function} options.onProgress - Called with { stage: 'totalCount', totalCount } and
+ *   { stage: 'groups', page, maxPages, groupCount } as the requests complete; stratified fetches report
+ *   { stage: 'strata', strataCount } and { stage: 'stratum', completed, total, groupCount } instead of pages
+ * @returns {Promise<Object>} - Object with spans array, totalCount, hasMoreGroups and groupBy
  */
-async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = null) {
+async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
   if (!orgSlug) {
     throw new Error('Organization slug is required');
   }
 
-  const statsPeriod = `${days}d`;
-  // Use region-specific endpoint (us.sentry.io) - matches what Sentry UI uses
-  const endpoint = `https://us.sentry.io/api/0/organizations/${orgSlug}/events/`;
+  const maxGroups = resolveMaxGroups(options.maxGroups);
+  const onProgress = options.onProgress || (() => {});
+  const spanQuery = (options.query || '').trim();
+  const stratifyBy = options.stratifyBy || null;
+  if (stratifyBy && !SPAN_GROUP_BY_FIELDS.includes(stratifyBy)) {
+    throw new Error(`Unknown attribute to stratify by: ${stratifyBy}`);
+  }
+  // Groups carry the stratified attribute even when it isn't among the chosen group-by attributes
+  const groupByFields = resolveGroupByFields(stratifyBy && Array.isArray(options.groupBy)
+    ? [...options.groupBy, stratifyBy]
+    : options.groupBy);
+  // Use region-specific endpoint (e.g. us.sentry.io) - matches what Sentry UI uses
+  const { regionApiBase, cookieUrl } = await resolveApiBases(orgSlug, options.regionUrl);
+  const endpoint = `${regionApiBase}/organizations/${orgSlug}/events/`;
   
   // Helper function to get total count - uses Sentry's aggregate query format
-  const getTotalCount = async (projectIdParam = null) => {
+  const getTotalCount = async (projectIds = []) => {
     const params = new URLSearchParams();
     
     // Use the exact format that Sentry uses for total count
@@ -128,28 +606,26 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
     params.append('field', 'count(span.duration)'); // This is the key - count(span.duration) not count()
     params.append('disableAggregateExtrapolation', '1');
     params.append('per_page', '50');
-    params.append('statsPeriod', statsPeriod);
+    appendTimeRangeParams(params, days, options);
     params.append('sampling', 'HIGHEST_ACCURACY'); // Use HIGHEST_ACCURACY for accurate totals
     params.append('referrer', 'api.explore.spans-aggregates-table'); // Match Sentry UI referrer
     params.append('sort', '-count_span_duration');
-    params.append('query', ''); // Empty query string for total count
+    params.append('query', spanQuery); // Same filter as the groups so the "(other)" remainder stays in scope
     
-    // Project filter as a separate parameter
-    if (projectIdParam) {
-      params.append('project', projectIdParam);
-    }
+    // Project filter as separate parameters
+    appendProjectParams(params, projectIds);
     
     const url = `${endpoint}?${params.toString()}`;
     console.log('Getting total count from:', url);
     
-    const cookieString = await getSentryCookies();
-    const headers = { 'Cookie': cookieString };
+    const auth = await getAuthFetchOptions(cookieUrl);
     
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
       method: 'GET',
-      headers: headers,
-      credentials: 'include',
-    });
+      headers: auth.headers,
+      credentials: auth.credentials,
+      signal: options.signal,
+    }, 'the total span count');
     
     if (!response.ok) {
       console.warn('Failed to get total count, will use sum of groups');
@@ -248,63 +724,68 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
   };
   
   // Helper function to build and execute a grouped query (for breakdown)
-  const executeGroupedQuery = async (description, projectIdParam = null) => {
+  // Returns one page of results along with the cursor for the next page
+  // queryOptions.fields replaces the breakdown fields (e.g. to count the top values of one attribute),
+  // queryOptions.filter narrows the search (e.g. to one stratum) and queryOptions.perPage sets the page size
+  const executeGroupedQuery = async (description, projectIds = [], cursor = null, queryOptions = {}) => {
     const params = new URLSearchParams();
     
-    // Use the fields that Sentry actually uses for span queries
-    params.append('field', 'span.op');
-    params.append('field', 'span.description');
-    params.append('field', 'span.status');
-    params.append('field', 'span.status_code');
-    params.append('field', 'span.domain');
-    params.append('field', 'span.action');
-    params.append('field', 'span.module');
-    params.append('field', 'span.system');
-    params.append('field', 'transaction');
-    params.append('field', 'transaction.op');
-    params.append('field', 'transaction.method');
-    params.append('field', 'environment');
-    params.append('field', 'release');
+    if (queryOptions.fields) {
+      queryOptions.fields.forEach(field => params.append('field', field));
+    } else {
+      // Split groups per project when several are queried together, for per-project subtotals
+      if (projectIds.length > 1) {
+        params.append('field', 'project');
+      }
+      // Group by the chosen span attributes; attributes left out are empty on every group
+      groupByFields.forEach(field => params.append('field', field));
+      // Current SDK sample rate, so simulations can be computed relative to it
+      // Every distinct rate splits a group in two, so rate changes during the period use up maxGroups sooner
+      params.append('field', 'client_sample_rate');
+    }
     params.append('field', 'count()');
     
     // Match Sentry's actual parameters
     params.append('allowAggregateConditions', '0');
     params.append('dataset', 'spans'); // Required for spans!
     params.append('orderby', '-count()');
-    params.append('per_page', '100');
-    params.append('statsPeriod', statsPeriod);
+    params.append('per_page', String(queryOptions.perPage || GROUPS_PER_PAGE));
+    appendTimeRangeParams(params, days, options);
     params.append('sampling', 'NORMAL');
     params.append('referrer', 'api.span-optimizer');
     
-    // Project filter as a separate parameter (not in query string)
-    if (projectIdParam) {
-      params.append('project', projectIdParam);
+    if (cursor) {
+      params.append('cursor', cursor);
     }
     
-    // Query string - use has:span.op to get span data
-    params.append('query', 'has:span.op');
+    // Project filter as separate parameters (not in query string)
+    appendProjectParams(params, projectIds);
+    
+    // Query string - use has:span.op to get span data, narrowed by the user's search query
+    // The user's query and the filter are parenthesized so an OR in either can't escape the other terms
+    params.append('query', ['has:span.op', spanQuery, queryOptions.filter]
+      .filter(Boolean)
+      .map((term, index) => (index === 0 ? term : `(${term})`))
+      .join(' '));
     
     const url = `${endpoint}?${params.toString()}`;
     
     console.log(`Trying grouped query (${description}):`, {
-      projectId: projectIdParam || 'none',
+      projectIds: projectIds.length > 0 ? projectIds.join(',') : 'all',
       url: url
     });
 
-    // Get cookies and include them in the request
-    const cookieString = await getSentryCookies();
-    console.log('Cookies retrieved:', cookieString ? `${cookieString.substring(0, 50)}...` : 'none');
-    
+    // Get cookies or auth token and include them in the request
     // Match fetchProjects exactly - same headers, same approach
-    const headers = {
-      'Cookie': cookieString,
-    };
+    const auth = await getAuthFetchOptions(cookieUrl);
+    console.log('Authenticating with:', auth.headers['Authorization'] ? 'auth token' : 'session cookies');
 
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
       method: 'GET',
-      headers: headers,
-      credentials: 'include',
-    });
+      headers: auth.headers,
+      credentials: auth.credentials,
+      signal: options.signal,
+    }, 'span groups');
     
     console.log('Response status:', response.status, response.statusText);
 
@@ -328,19 +809,23 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
         errorText = 'Unable to read error response';
       }
       
+      let error;
       if (response.status === 401) {
-        throw new Error(`Authentication failed: ${errorText || 'Please ensure you are logged into Sentry in this browser.'}`);
+        error = new Error(`Authentication failed: ${errorText || 'Please ensure you are logged into Sentry in this browser, or that your auth token is still valid.'}`);
       } else if (response.status === 403) {
         // Provide more helpful error message for 403
         const errorMsg = errorText || 'Access forbidden';
-        throw new Error(`Access forbidden (403): ${errorMsg}. The Discover API may require additional permissions. Try querying without a project filter, or ensure you have access to view span data for this organization.`);
+        error = new Error(`Access forbidden (403): ${errorMsg}. The Discover API may require additional permissions. Try querying without a project filter, or ensure you have access to view span data for this organization.`);
       } else if (response.status === 404) {
-        throw new Error(`Organization not found (404): ${errorText || 'Please ensure you are on a valid Sentry page.'}`);
+        error = new Error(`Organization not found (404): ${errorText || 'Please ensure you are on a valid Sentry page.'}`);
       } else if (response.status === 429) {
-        throw new Error(`Rate limit exceeded (429): ${errorText || 'Please try again later.'}`);
+        error = new Error(`Rate limit exceeded (429): ${errorText || 'Sentry is still rate limiting after several retries. Please try again in a few minutes.'}`);
       } else {
-        throw new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+        error = new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
       }
+      // Lets the cache tell server-side failures from requests that would fail again
+      error.status = response.status;
+      throw error;
     }
 
     const responseData = await response.json();
@@ -356,7 +841,112 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
       metaKeys: responseData.meta ? Object.keys(responseData.meta) : []
     });
     
-    return responseData;
+    return {
+      responseData: responseData,
+      nextCursor: parseNextCursor(response.headers.get('Link')),
+    };
+  };
+
+  // Helper function to follow the cursor through grouped query pages until the group cap is reached
+  // Stratified fetches pass a per-stratum cap and filter, and report progress per stratum instead of per page
+  const fetchGroupedPages = async (description, projectIds = [], groupCap = maxGroups, filter = null) => {
+    const maxPages = Math.ceil(groupCap / GROUPS_PER_PAGE);
+    const merged = { data: [], meta: null, hasMoreGroups: false };
+    let cursor = null;
+    let page = 0;
+    
+    do {
+      page++;
+      // The last page only asks for the groups still missing from the cap
+      const { responseData, nextCursor } = await executeGroupedQuery(`${description}, page ${page}`, projectIds, cursor, {
+        filter: filter,
+        perPage: Math.min(GROUPS_PER_PAGE, groupCap - merged.data.length),
+      });
+      
+      if (Array.isArray(responseData.data)) {
+        merged.data.push(...responseData.data);
+      }
+      if (!merged.meta && responseData.meta) {
+        merged.meta = responseData.meta;
+      }
+      
+      cursor = nextCursor;
+      if (!filter) {
+        onProgress({ stage: 'groups', page: page, maxPages: maxPages, groupCount: Math.min(merged.data.length, groupCap) });
+      }
+    } while (cursor && page < maxPages && merged.data.length < groupCap);
+    
+    // The last page may overshoot the cap when it isn't a multiple of the page size
+    merged.hasMoreGroups = !!cursor || merged.data.length > groupCap;
+    merged.data = merged.data.slice(0, groupCap);
+    
+    console.log(`Fetched ${merged.data.length} span groups across ${page} page(s)${merged.hasMoreGroups ? ` (capped at ${groupCap} groups)` : ''}`);
+    
+    return merged;
+  };
+
+  // Helper function to fetch the groups within each top value of the stratified attribute
+  // Each stratum's groups that didn't fit under its share of the cap become one remainder row for that value
+  const fetchStratifiedGroups = async (projectIds = []) => {
+    // Every stratum needs at least one group, so the cap limits how many strata are fetched
+    const maxStrata = Math.min(Math.max(1, parseInt(options.maxStrata, 10) || DEFAULT_MAX_STRATA), maxGroups);
+    const { responseData } = await executeGroupedQuery(`top ${stratifyBy} values`, projectIds, null, {
+      fields: [stratifyBy],
+      perPage: maxStrata,
+    });
+    const strata = (Array.isArray(responseData.data) ? responseData.data : [])
+      .map(item => ({ value: item[stratifyBy] || '', count: parseInt(item['count()'], 10) || 0 }))
+      // Grouped queries already require span.op, so it has no empty stratum to fetch
+      .filter(stratum => stratum.count > 0 && (stratum.value || stratifyBy !== 'span.op'));
+    onProgress({ stage: 'strata', strataCount: strata.length });
+    console.log(`Stratifying by ${stratifyBy}: ${strata.map(stratum => `${stratum.value || '(empty)'} (${stratum.count.toLocaleString()})`).join(', ')}`);
+
+    // The cap is split evenly across strata, with the groups left over from the division going to the largest ones
+    const baseGroupCap = Math.floor(maxGroups / Math.max(1, strata.length));
+    const extraGroups = maxGroups % Math.max(1, strata.length);
+    let completed = 0;
+    let groupCount = 0;
+    const stratumResults = await mapWithConcurrency(strata, STRATIFIED_FETCH_CONCURRENCY, async (stratum, index) => {
+      const result = await fetchGroupedPages(
+        `${stratifyBy}:${stratum.value || '(empty)'}`,
+        projectIds,
+        baseGroupCap + (index < extraGroups ? 1 : 0),
+        buildStratumFilter(stratifyBy, stratum.value)
+      );
+      completed++;
+      groupCount += result.data.length;
+      onProgress({ stage: 'stratum', completed: completed, total: strata.length, groupCount: groupCount });
+      return result;
+    });
+
+    const merged = { data: [], meta: null, hasMoreGroups: false, remainders: [] };
+    stratumResults.forEach((result, index) => {
+      merged.data.push(...result.data);
+      merged.meta = merged.meta || result.meta;
+      merged.hasMoreGroups = merged.hasMoreGroups || result.hasMoreGroups;
+      let fetchedCount = 0;
+      let knownRateCount = 0;
+      let weightedRateSum = 0;
+      result.data.forEach(item => {
+        const count = parseInt(item['count()'], 10) || 0;
+        const clientSampleRate = parseFloat(item['client_sample_rate']);
+        fetchedCount += count;
+        if (clientSampleRate > 0) {
+          knownRateCount += count;
+          weightedRateSum += count * clientSampleRate;
+        }
+      });
+      const remainder = strata[index].count - fetchedCount;
+      if (remainder > 0) {
+        // The stratum's unfetched groups are assumed to be sampled like its fetched ones
+        merged.remainders.push({
+          value: strata[index].value,
+          count: remainder,
+          clientSampleRate: knownRateCount > 0 ? weightedRateSum / knownRateCount : null,
+        });
+      }
+    });
+    return merged;
   };
 
   // Helper function to process span data from API response
@@ -435,6 +1025,12 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
           'environment': item['environment'] || '',
           'release': item['release'] || '',
         };
+        if (item['project'] !== undefined) {
+          spanData.project = item['project'] || '';
+        }
+        
+        // Current client sample rate for the group (null when the SDK didn't report one)
+        const clientSampleRate = parseFloat(item['client_sample_rate']);
         
         // Try multiple ways to get the count
         const count = parseInt(
@@ -454,6 +1050,7 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
         if (count > 0) {
           spans.push({
             ...spanData,
+            clientSampleRate: isNaN(clientSampleRate) ? null : clientSampleRate,
             count: count,
           });
         } else {
@@ -462,12 +1059,12 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
       });
       
       const totalGroups = dataArray.length;
-      const isLimited = totalGroups >= 100; // per_page limit
+      const isLimited = !!data.hasMoreGroups; // more pages exist beyond the group cap
       
       // Use total from meta if available (more accurate), otherwise use sum of groups
       const finalTotalCount = totalCountFromMeta !== null ? totalCountFromMeta : totalCount;
       
-      console.log(`API Results: ${finalTotalCount.toLocaleString()} total spans (sum of ${totalGroups} groups: ${totalCount.toLocaleString()})${isLimited ? ' (limited to top 100 groups)' : ''}`);
+      console.log(`API Results: ${finalTotalCount.toLocaleString()} total spans (sum of ${totalGroups} groups: ${totalCount.toLocaleString()})${isLimited ? ` (limited to top ${totalGroups} groups)` : ''}`);
       
       if (totalCountFromMeta && totalCountFromMeta !== totalCount) {
         console.log(`⚠️ Using meta total (${totalCountFromMeta.toLocaleString()}) instead of sum (${totalCount.toLocaleString()}) - meta is more accurate`);
@@ -480,7 +1077,7 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
       }
       
       if (isLimited) {
-        console.warn(`⚠️ Only showing top 100 span groups. Total from meta: ${totalCountFromMeta ? totalCountFromMeta.toLocaleString() : 'N/A'}, Sum of groups: ${totalCount.toLocaleString()}`);
+        console.warn(`⚠️ Only showing top ${totalGroups} span groups. Total from meta: ${totalCountFromMeta ? totalCountFromMeta.toLocaleString() : 'N/A'}, Sum of groups: ${totalCount.toLocaleString()}`);
       }
     }
 
@@ -488,40 +1085,39 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
     return { spans, totalCountFromMeta };
   };
 
-  // Get project ID if we have a slug
-  let projectIdToUse = projectId;
-  if (!projectIdToUse && projectSlug) {
-    try {
-      const projects = await fetchProjects(orgSlug);
-      const project = projects.find(p => p.slug === projectSlug);
-      if (project && project.id) {
-        projectIdToUse = String(project.id);
-        console.log(`Found project ID ${projectIdToUse} for slug ${projectSlug}`);
-      }
-    } catch (error) {
-      console.warn('Could not fetch projects to get ID:', error);
-    }
-  }
+  // Get project IDs for the selected project(s)
+  const projectIds = await resolveProjectIds(orgSlug, projectSlug, projectId, options);
   
   // First, get the total count using Sentry's aggregate query format (matches their UI)
   console.log('Fetching total count using aggregate query...');
-  const totalCount = await getTotalCount(projectIdToUse);
+  const totalCount = await getTotalCount(projectIds);
+  onProgress({ stage: 'totalCount', totalCount: totalCount });
   
   // Then, get the grouped data for breakdown
   console.log('Fetching grouped span data for breakdown...');
-  let groupedData;
-  if (projectIdToUse) {
-    groupedData = await executeGroupedQuery(`project ID ${projectIdToUse}`, projectIdToUse);
-  } else {
-    groupedData = await executeGroupedQuery('all spans', null);
-  }
+  const groupedData = stratifyBy
+    ? await fetchStratifiedGroups(projectIds)
+    : await fetchGroupedPages(
+      projectIds.length > 0 ? `project ID(s) ${projectIds.join(', ')}` : 'all spans',
+      projectIds
+    );
   
   // Process and return the data
   const result = processSpanData(groupedData);
   const spans = result.spans;
   
+  // Stratum remainders match rules on the stratified attribute; their other attributes are unknown
+  (groupedData.remainders || []).forEach(remainder => {
+    const row = Object.fromEntries(SPAN_GROUP_BY_FIELDS.map(field => [field, '']));
+    row[stratifyBy] = remainder.value;
+    spans.push({ ...row, remainderOf: stratifyBy, clientSampleRate: remainder.clientSampleRate, count: remainder.count });
+  });
+  
   if (spans.length === 0) {
-    throw new Error(`No span data found${projectSlug ? ` for project "${projectSlug}"` : projectId ? ` for project ID "${projectId}"` : ''} for the selected time period. The organization may not have span data, or you may need to select a different date range.`);
+    const projectText = projectSlug
+      ? ` for project "${projectSlug}"`
+      : projectIds.length > 0 ? ` for project ID(s) ${projectIds.join(', ')}` : '';
+    throw new Error(`No span data found${projectText} for the selected time period. The organization may not have span data, or you may need to select a different date range.`);
   }
 
   // Store the total count separately (can't reliably attach to array due to JSON serialization)
@@ -544,39 +1140,91 @@ async function fetchSpanUsage(orgSlug, days, projectSlug = null, projectId = nul
   // This ensures the total count survives JSON serialization
   return {
     spans: spans,
-    totalCount: finalTotalCount
+    totalCount: finalTotalCount,
+    hasMoreGroups: groupedData.hasMoreGroups,
+    groupBy: groupByFields,
   };
 }
 
+/**
+ * Build the search filter selecting one value of an attribute
+ * @param {string} attribute - Span attribute (e.g. "span.op")
+ * @param {string} value - Attribute value, matched literally; empty selects spans without the attribute
+ * @returns {string} - Search filter (e.g. 'span.op:"db.query"')
+ */
+function buildStratumFilter(attribute, value) {
+  if (!value) {
+    return `!has:${attribute}`;
+  }
+  return `${attribute}:"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\*/g, '\\*')}"`;
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at the same time
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in item order; rejects with the first failure
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Read a requested group cap, falling back to the default and keeping it within 1-MAX_GROUPS
+ * @param {*} maxGroups - Requested cap
+ * @returns {number} - Group cap
+ */
+function resolveMaxGroups(maxGroups) {
+  return Math.min(MAX_GROUPS, Math.max(1, parseInt(maxGroups, 10) || DEFAULT_MAX_GROUPS));
+}
+
+/**
+ * Pick the known span attributes to group by, in query order
+ * @param {Array<string>} groupBy - Requested attributes (unknown ones are ignored)
+ * @returns {Array<string>} - Attributes to group by; all of them when none are requested
+ */
+function resolveGroupByFields(groupBy) {
+  const requested = Array.isArray(groupBy) ? groupBy : [];
+  const fields = SPAN_GROUP_BY_FIELDS.filter(field => requested.includes(field));
+  return fields.length > 0 ? fields : [...SPAN_GROUP_BY_FIELDS];
+}
+
 /**
  * Fetch current sample rates breakdown from Sentry
  * @param {string} orgSlug - Organization slug
  * @param {number} days - Number of days to query
  * @param {string} projectSlug - Optional project slug to filter by
  * @param {string} projectId - Optional project ID to filter by
+ * @param {Object} options - Optional fetch options
+ * @param {string} options.regionUrl - Region URL detected from the Sentry tab (e.g. https://de.sentry.io)
+ * @param {string} options.statsPeriod - Relative period overriding days (e.g. "14d", "12h")
+ * @param {string} options.start - Absolute range start (ISO 8601), used together with options.end
+ * @param {string} options.end - Absolute range end (ISO 8601)
+ * @param {Array<string>} options.projectIds - Project IDs to query together (grouped by project when more than one)
+ * @param {string} options.query - Sentry span search query to scope the rates to
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Array>} - Array of sample rate breakdown objects
  */
-async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = null) {
+async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
   if (!orgSlug) {
     throw new Error('Organization slug is required');
   }
 
-  const statsPeriod = `${days}d`;
-  const endpoint = `https://us.sentry.io/api/0/organizations/${orgSlug}/events/`;
+  const { regionApiBase, cookieUrl } = await resolveApiBases(orgSlug, options.regionUrl);
+  const endpoint = `${regionApiBase}/organizations/${orgSlug}/events/`;
   
-  // Get project ID if we have a slug
-  let projectIdToUse = projectId;
-  if (!projectIdToUse && projectSlug) {
-    try {
-      const projects = await fetchProjects(orgSlug);
-      const project = projects.find(p => p.slug === projectSlug);
-      if (project && project.id) {
-        projectIdToUse = String(project.id);
-      }
-    } catch (error) {
-      console.warn('Could not fetch projects to get ID:', error);
-    }
-  }
+  // Get project IDs for the selected project(s)
+  const projectIds = await resolveProjectIds(orgSlug, projectSlug, projectId, options);
 
   const params = new URLSearchParams();
   
@@ -593,16 +1241,16 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
   params.append('disableAggregateExtrapolation', '1');
   
   // 4. fields (order matters)
-  if (projectIdToUse) {
+  if (projectIds.length === 1) {
     // Single project: group by span.op and client_sample_rate
-    console.log(`Fetching sample rates for single project: ${projectIdToUse}`);
+    console.log(`Fetching sample rates for single project: ${projectIds[0]}`);
     params.append('field', 'span.op');
     params.append('field', 'client_sample_rate');
     params.append('field', 'count(span.duration)');
   } else {
-    // All projects: group by project and client_sample_rate
+    // All (or several) projects: group by project and client_sample_rate
     // Match Sentry UI's exact field order
-    console.log('Fetching sample rates for all projects');
+    console.log(`Fetching sample rates for ${projectIds.length > 0 ? `${projectIds.length} projects` : 'all projects'}`);
     params.append('field', 'project');
     params.append('field', 'client_sample_rate');
     params.append('field', 'count(span.duration)');
@@ -612,14 +1260,10 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
   params.append('per_page', '50');
   
   // 6. project (after fields, before query)
-  if (projectIdToUse) {
-    params.append('project', projectIdToUse);
-  } else {
-    params.append('project', '-1'); // -1 means all projects
-  }
+  appendProjectParams(params, projectIds, '-1'); // -1 means all projects
   
-  // 7. query (empty)
-  params.append('query', '');
+  // 7. query (the user's search query, if any)
+  params.append('query', (options.query || '').trim());
   
   // 8. referrer
   params.append('referrer', 'api.explore.spans-aggregates-table');
@@ -630,21 +1274,21 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
   // 10. sort
   params.append('sort', '-count_span_duration');
   
-  // 11. statsPeriod (last)
-  params.append('statsPeriod', statsPeriod);
+  // 11. statsPeriod, or start/end for an absolute range (last)
+  appendTimeRangeParams(params, days, options);
   
   const url = `${endpoint}?${params.toString()}`;
   console.log('Fetching sample rates from:', url);
   console.log('URL parameters:', Object.fromEntries(params));
   
-  const cookieString = await getSentryCookies();
-  const headers = { 'Cookie': cookieString };
+  const auth = await getAuthFetchOptions(cookieUrl);
   
-  const response = await fetch(url, {
+  const response = await fetchWithRetry(url, {
     method: 'GET',
-    headers: headers,
-    credentials: 'include',
-  });
+    headers: auth.headers,
+    credentials: auth.credentials,
+    signal: options.signal,
+  }, 'sample rates');
   
   if (!response.ok) {
     let errorText = '';
@@ -684,7 +1328,7 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
     
     if (count > 0) {
       let groupLabel;
-      if (projectIdToUse) {
+      if (projectIds.length === 1) {
         // Single project: show span.op
         const spanOp = item['span.op'] || '(unknown)';
         groupLabel = spanOp;
@@ -718,26 +1362,318 @@ async function fetchSampleRates(orgSlug, days, projectSlug = null, projectId = n
   };
 }
 
-// Listen for messages from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'fetchSpanUsage') {
-    // Handle the async operation
-    fetchSpanUsage(request.orgSlug, request.days, request.projectSlug, request.projectId)
-      .then(result => {
-        // result is now { spans: [...], totalCount: number }
-        // Attach totalCount to the spans array for backward compatibility
-        if (result.totalCount !== null && result.totalCount !== undefined) {
-          result.spans._totalCountFromMeta = result.totalCount;
-        }
-        sendResponse({ success: true, data: result.spans, totalCount: result.totalCount });
-      })
-      .catch(error => {
-        sendResponse({ success: false, error: error.message });
-      });
-    // Return true to indicate we will send a response asynchronously
+/**
+ * Fetch span counts over time, split by span.op, from the events-stats endpoint
+ * The top span operations each get their own series and everything else is summed into "Other"
+ * @param {string} orgSlug - Organization slug
+ * @param {number} days - Number of days to look back
+ * @param {string} projectSlug - Optional project slug
+ * @param {string} projectId - Optional project ID
+ * @param {Object} options - { regionUrl, topEvents, statsPeriod, start, end, projectIds, query, signal }
+ * @returns {Promise<Object>} - { interval, groupBy, series: [{ group, isOther, points: [{ timestamp, count }] }] }
+ */
+async function fetchSpanTimeSeries(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
+  if (!orgSlug) {
+    throw new Error('Organization slug is required');
+  }
+
+  // Hourly buckets for short periods, daily otherwise
+  const interval = days <= 2 ? '1h' : '1d';
+  const groupBy = 'span.op';
+  const { regionApiBase, cookieUrl } = await resolveApiBases(orgSlug, options.regionUrl);
+  const endpoint = `${regionApiBase}/organizations/${orgSlug}/events-stats/`;
+
+  // Get project IDs for the selected project(s)
+  const projectIds = await resolveProjectIds(orgSlug, projectSlug, projectId, options);
+
+  const params = new URLSearchParams();
+  params.append('dataset', 'spans');
+  params.append('disableAggregateExtrapolation', '1');
+  params.append('excludeOther', '0');
+  params.append('field', groupBy);
+  // Same aggregate and sampling mode as the grouped span query, so the baseline matches the simulated groups
+  params.append('field', 'count()');
+  params.append('interval', interval);
+  params.append('orderby', '-count()');
+  params.append('partial', '1');
+  appendProjectParams(params, projectIds, '-1');
+  params.append('query', (options.query || '').trim());
+  params.append('referrer', 'api.explore.spans-timeseries');
+  params.append('sampling', 'NORMAL');
+  appendTimeRangeParams(params, days, options);
+  // Sentry caps top events at 10 series
+  params.append('topEvents', String(Math.min(options.topEvents || 10, 10)));
+  params.append('yAxis', 'count()');
+
+  const url = `${endpoint}?${params.toString()}`;
+  console.log('Fetching span time series from:', url);
+
+  const auth = await getAuthFetchOptions(cookieUrl);
+
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: auth.headers,
+    credentials: auth.credentials,
+    signal: options.signal,
+  }, 'span counts over time');
+
+  if (!response.ok) {
+    let errorText = '';
+    try {
+      errorText = await response.text();
+    } catch (e) {
+      errorText = 'Unable to read error response';
+    }
+    throw new Error(`Failed to fetch span time series: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+
+  // Each series is { data: [[timestamp, [{ count }]], ...] }
+  const toPoints = seriesData => (seriesData || []).map(([timestamp, values]) => ({
+    timestamp: timestamp,
+    count: (values || []).reduce((sum, value) => sum + (value.count || 0), 0),
+  }));
+
+  let series;
+  if (Array.isArray(data.data)) {
+    // No top events to split by (e.g. a single span.op) - the response is one series
+    series = [{ group: null, isOther: true, points: toPoints(data.data) }];
+  } else {
+    series = Object.entries(data)
+      .filter(([, value]) => value && Array.isArray(value.data))
+      .sort(([, a], [, b]) => (a.order !== undefined ? a.order : Infinity) - (b.order !== undefined ? b.order : Infinity))
+      .map(([key, value]) => ({
+        group: key === 'Other' ? null : key,
+        isOther: key === 'Other',
+        points: toPoints(value.data),
+      }));
+  }
+
+  return {
+    interval: interval,
+    groupBy: groupBy,
+    series: series,
+  };
+}
+
+/**
+ * Get how long cached span usage results are reused
+ * @returns {Promise<number>} - Cache lifetime in minutes (0 always refetches)
+ */
+async function getCacheTtlMinutes() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_CACHE_TTL);
+  const ttl = stored[STORAGE_KEY_CACHE_TTL];
+  return typeof ttl === 'number' && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_MINUTES;
+}
+
+/**
+ * Build the cache key for a span usage query
+ * @param {string} orgSlug - Organization slug
+ * @param {number} days - Number of days to query
+ * @param {string} projectSlug - Optional project slug
+ * @param {string} projectId - Optional project ID
+ * @param {Object} options - fetchSpanUsage options
+ * @returns {Promise<string>} - Key covering the Sentry instance and region, auth mode, organization, projects, period, query and group cap
+ */
+async function buildSpanUsageCacheKey(orgSlug, days, projectSlug, projectId, options) {
+  // A token and the session cookies may see different projects, so each gets its own results
+  const { regionApiBase } = await resolveApiBases(orgSlug, options.regionUrl);
+  const authMode = (await getAuthToken()) ? 'token' : 'session';
+  const projects = Array.isArray(options.projectIds) && options.projectIds.length > 0
+    ? options.projectIds.map(String).sort()
+    : [projectId || projectSlug || ''].filter(Boolean).map(String);
+  const period = options.start && options.end
+    ? `${options.start}_${options.end}`
+    : options.statsPeriod || `${days}d`;
+
+  return JSON.stringify([
+    regionApiBase,
+    authMode,
+    orgSlug,
+    projects,
+    period,
+    (options.query || '').trim(),
+    resolveMaxGroups(options.maxGroups),
+    resolveGroupByFields(options.groupBy),
+    options.stratifyBy || null,
+    options.stratifyBy ? parseInt(options.maxStrata, 10) || DEFAULT_MAX_STRATA : null,
+  ]);
+}
+
+/**
+ * Check whether a failed fetch is worth answering from the cache
+ * Connection failures, and server errors or rate limits that outlasted the retries, qualify;
+ * authentication, not-found and empty-result errors would fail the same way again
+ * @param {Error} error - Error thrown by fetchSpanUsage
+ * @returns {boolean} - True when the error is temporary
+ */
+function isTransientFetchError(error) {
+  if (error instanceof TypeError || /^Network error/.test(error.message)) {
     return true;
   }
-  
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetch span usage, reusing a cached result while it is younger than the configured TTL
+ * When Sentry can't be reached, any cached result for the same query is returned instead of failing
+ * @param {string} orgSlug - Organization slug
+ * @param {number} days - Number of days to query
+ * @param {string} projectSlug - Optional project slug to filter by
+ * @param {string} projectId - Optional project ID to filter by
+ * @param {Object} options - fetchSpanUsage options, plus options.forceRefresh to skip a fresh cached result
+ * @returns {Promise<Object>} - fetchSpanUsage result plus { fetchedAt (ms), fromCache, fetchError }
+ */
+async function fetchSpanUsageCached(orgSlug, days, projectSlug = null, projectId = null, options = {}) {
+  const key = await buildSpanUsageCacheKey(orgSlug, days, projectSlug, projectId, options);
+  const ttlMs = (await getCacheTtlMinutes()) * 60 * 1000;
+  const stored = await chrome.storage.local.get(STORAGE_KEY_SPAN_USAGE_CACHE);
+  const cache = stored[STORAGE_KEY_SPAN_USAGE_CACHE] || {};
+  const cached = cache[key];
+
+  if (cached && !options.forceRefresh && Date.now() - cached.fetchedAt < ttlMs) {
+    console.log(`Using cached span usage from ${new Date(cached.fetchedAt).toISOString()}`);
+    if (options.onProgress) {
+      options.onProgress({ stage: 'cached', fetchedAt: cached.fetchedAt });
+    }
+    return { ...cached.result, fetchedAt: cached.fetchedAt, fromCache: true, fetchError: null };
+  }
+
+  let result;
+  try {
+    result = await fetchSpanUsage(orgSlug, days, projectSlug, projectId, options);
+  } catch (error) {
+    // Only fall back when Sentry couldn't answer; cancelled fetches and errors that would repeat are reported
+    if (!cached || !isTransientFetchError(error)) {
+      throw error;
+    }
+    console.warn('Fetching span usage failed, falling back to cached data:', error.message);
+    return { ...cached.result, fetchedAt: cached.fetchedAt, fromCache: true, fetchError: error.message };
+  }
+
+  // Keep the newest results only
+  const fetchedAt = Date.now();
+  const entries = Object.entries({ ...cache, [key]: { fetchedAt: fetchedAt, result: result } })
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, MAX_CACHED_SPAN_USAGE_RESULTS);
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEY_SPAN_USAGE_CACHE]: Object.fromEntries(entries) });
+  } catch (error) {
+    // Caching is best-effort - a result too large for the storage quota is simply not cached
+    console.warn('Could not cache span usage:', error.message);
+  }
+
+  return { ...result, fetchedAt: fetchedAt, fromCache: false, fetchError: null };
+}
+
+/**
+ * Run a span usage fetch for a 'fetchSpanUsage' port, streaming progress and results to it
+ * Posts { type: 'progress', ... } events, then { type: 'result', ... }; when request.includeSampleRates is set,
+ * sample rates follow as { type: 'sampleRates', data | error } before { type: 'done' }.
+ * Failures post { type: 'error', error, cancelled }.
+ * @param {chrome.runtime.Port} port - Port opened by the page
+ * @param {Object} request - { orgSlug, days, projectSlug, projectId, options, includeSampleRates }
+ * @param {AbortSignal} signal - Aborted when the page cancels or disconnects
+ */
+async function runSpanUsagePortFetch(port, request, signal) {
+  // The page may have gone away mid-fetch
+  const post = message => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.log('Fetch port closed:', error.message);
+    }
+  };
+  const options = {
+    ...(request.options || {}),
+    signal: signal,
+    onProgress: progress => post({ type: 'progress', ...progress }),
+  };
+
+  try {
+    const result = await fetchSpanUsageCached(request.orgSlug, request.days, request.projectSlug, request.projectId, options);
+    post({
+      type: 'result',
+      data: result.spans,
+      totalCount: result.totalCount,
+      hasMoreGroups: result.hasMoreGroups,
+      groupBy: result.groupBy,
+      fetchedAt: result.fetchedAt,
+      fromCache: result.fromCache,
+      fetchError: result.fetchError,
+    });
+
+    if (request.includeSampleRates) {
+      try {
+        const sampleRates = await fetchSampleRates(request.orgSlug, request.days, request.projectSlug, request.projectId, options);
+        post({ type: 'progress', stage: 'sampleRates' });
+        post({ type: 'sampleRates', data: sampleRates });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        post({ type: 'sampleRates', error: error.message });
+      }
+    }
+
+    post({ type: 'done' });
+  } catch (error) {
+    post({ type: 'error', error: error.message, cancelled: error.name === 'AbortError' });
+  }
+}
+
+// Span usage fetches run over a long-lived port so they can stream progress and be cancelled
+/**
+ * Run a span time series fetch for a 'fetchSpanTimeSeries' port
+ * Posts { type: 'result', data } or { type: 'error', error, cancelled }.
+ * @param {chrome.runtime.Port} port - Port the page connected with
+ * @param {Object} request - { orgSlug, days, projectSlug, projectId, options }
+ * @param {AbortSignal} signal - Aborted when the page cancels or disconnects
+ */
+async function runSpanTimeSeriesPortFetch(port, request, signal) {
+  let message;
+  try {
+    const data = await fetchSpanTimeSeries(request.orgSlug, request.days, request.projectSlug, request.projectId, {
+      ...(request.options || {}),
+      signal: signal,
+    });
+    message = { type: 'result', data: data };
+  } catch (error) {
+    message = { type: 'error', error: error.message, cancelled: error.name === 'AbortError' };
+  }
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    console.log('Time series port closed:', error.message);
+  }
+}
+
+// Fetches the page may cancel run over a port; disconnecting aborts their requests
+const PORT_FETCH_HANDLERS = {
+  fetchSpanUsage: runSpanUsagePortFetch,
+  fetchSpanTimeSeries: runSpanTimeSeriesPortFetch,
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+  const runFetch = PORT_FETCH_HANDLERS[port.name];
+  if (!runFetch) {
+    return;
+  }
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((request) => {
+    if (request.action === 'cancel') {
+      controller.abort();
+    } else if (request.action === 'start') {
+      runFetch(port, request, controller.signal);
+    }
+  });
+});
+
+// Listen for messages from popup
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'fetchProjects') {
     // Handle fetching projects
     fetchProjects(request.orgSlug)
@@ -752,7 +1688,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   
   if (request.action === 'fetchSampleRates') {
     // Handle fetching sample rates
-    fetchSampleRates(request.orgSlug, request.days, request.projectSlug, request.projectId)
+    fetchSampleRates(request.orgSlug, request.days, request.projectSlug, request.projectId, request.options || {})
       .then(data => {
         sendResponse({ success: true, data: data });
       })
@@ -762,6 +1698,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  if (request.action === 'validateAuthToken') {
+    // Handle auth token validation before it is saved
+    validateAuthToken(request.authToken)
+      .then(scopes => {
+        sendResponse({ success: true, data: { scopes: scopes } });
+      })
+      .catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
   // Return false if we don't handle the message
   return false;
 });
@@ -0,0 +1,119 @@
+/**
+ * Breakdown Export Module
+ * Serializes simulation breakdowns to CSV and JSON files for analysis outside the extension
+ */
+
+// Per-group result columns exported after the span attribute columns
+const BREAKDOWN_RESULT_FIELDS = ['rawCount', 'simulatedCount', 'currentRate', 'targetRate', 'samplingRate', 'matchedRule', 'ignoredRule', 'remainderOf'];
+
+/**
+ * Pick the totals of a simulation result worth exporting
+ * @param {Object} result - Result object from simulateSampling
+ * @param {Array} items - Breakdown items being exported (may be a filtered subset)
+ * @returns {Object} - Totals for the whole simulation plus sums of the exported rows
+ */
+function getBreakdownExportTotals(result, items) {
+  return {
+    totalRawCount: result.totalRawCount,
+    totalSimulatedCount: result.totalSimulatedCount,
+    costReduction: result.costReduction,
+    monthlyRawCount: result.monthlyRawCount,
+    monthlySimulatedCount: result.monthlySimulatedCount,
+    cappedGroupCount: result.cappedGroupCount,
+    exportedGroupCount: items.length,
+    exportedRawCount: items.reduce((sum, item) => sum + (item.rawCount || 0), 0),
+    exportedSimulatedCount: items.reduce((sum, item) => sum + (item.simulatedCount || 0), 0),
+  };
+}
+
+/**
+ * Pick the exported fields of a breakdown item, with every span attribute present
+ * @param {Object} item - Breakdown item from simulateSampling
+ * @returns {Object} - Flat row object
+ */
+function toBreakdownExportRow(item) {
+  // Project is only set on data fetched for several projects at once
+  const row = { project: item.project !== undefined ? item.project : null };
+  getSpanAttributes().forEach(attr => {
+    row[attr.value] = item[attr.value] !== undefined ? item[attr.value] : null;
+  });
+  BREAKDOWN_RESULT_FIELDS.forEach(field => {
+    row[field] = item[field] !== undefined ? item[field] : null;
+  });
+  return row;
+}
+
+/**
+ * Escape a value for a CSV cell
+ * Text starting with a formula character is prefixed with a quote so spreadsheets don't evaluate it
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document of breakdown rows followed by the simulation totals
+ * @param {Array} items - Breakdown items to export
+ * @param {Object} result - Result object from simulateSampling
+ * @returns {string} - CSV text
+ */
+function buildBreakdownCsv(items, result) {
+  const columns = ['project', ...getSpanAttributes().map(attr => attr.value), ...BREAKDOWN_RESULT_FIELDS];
+  const lines = [columns.map(toCsvCell).join(',')];
+
+  items.forEach(item => {
+    const row = toBreakdownExportRow(item);
+    lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+  });
+
+  // Totals go below a blank line as name,value pairs
+  lines.push('');
+  Object.entries(getBreakdownExportTotals(result, items)).forEach(([name, value]) => {
+    lines.push(`${toCsvCell(name)},${toCsvCell(value)}`);
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a JSON document of breakdown rows and simulation totals
+ * @param {Array} items - Breakdown items to export
+ * @param {Object} result - Result object from simulateSampling
+ * @param {Object} metadata - Extra context to include (e.g. { orgSlug, days, searchQuery })
+ * @returns {string} - Pretty-printed JSON text
+ */
+function buildBreakdownJson(items, result, metadata = {}) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    ...metadata,
+    totals: getBreakdownExportTotals(result, items),
+    breakdown: items.map(toBreakdownExportRow),
+  }, null, 2);
+}
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadTextFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -3,20 +3,24 @@
  * Handles simulation of sampling rates on span data
  */
 
+// Attributes known when the SDK makes its head sampling decision at the root transaction
+// (environment and release come from the SDK's init options); child spans inherit that decision
+const HEAD_SAMPLING_ATTRIBUTES = ['transaction', 'transaction.op', 'transaction.method', 'environment', 'release'];
+
 /**
- * Check if a span item matches a rule
+ * Check if a span item matches a single condition
  * @param {Object} item - Span data object with all attributes
- * @param {Object} rule - Rule object: { attribute: string, operator: string, value: string, rate: number }
- * @returns {boolean} - True if the span matches the rule
+ * @param {Object} condition - Condition object: { attribute: string, operator: string, value: string }
+ * @returns {boolean} - True if the span matches the condition
  */
-function matchesRule(item, rule) {
-  if (!rule.attribute || !rule.value) {
+function matchesCondition(item, condition) {
+  if (!condition.attribute || !condition.value) {
     return false;
   }
 
-  const spanValue = item[rule.attribute] || '';
-  const ruleValue = rule.value.trim();
-  const operator = rule.operator || 'contains';
+  const spanValue = item[condition.attribute] || '';
+  const ruleValue = condition.value.trim();
+  const operator = condition.operator || 'contains';
 
   if (!spanValue) {
     return false;
@@ -43,16 +47,145 @@ function matchesRule(item, rule) {
   }
 }
 
+/**
+ * Check if a span item matches a condition group
+ * Groups combine their conditions (and nested groups) with AND or OR logic
+ * @param {Object} item - Span data object with all attributes
+ * @param {Object} group - Condition group: { logic: 'and' | 'or', conditions: Array }
+ * @returns {boolean} - True if the span matches the group
+ */
+function matchesConditionGroup(item, group) {
+  if (!group.conditions || group.conditions.length === 0) {
+    return false;
+  }
+
+  const matchesNode = node => Array.isArray(node.conditions)
+    ? matchesConditionGroup(item, node)
+    : matchesCondition(item, node);
+
+  return group.logic === 'or'
+    ? group.conditions.some(matchesNode)
+    : group.conditions.every(matchesNode);
+}
+
+/**
+ * Check if a span item matches a rule
+ * @param {Object} item - Span data object with all attributes
+ * @param {Object} rule - Rule object: { match: conditionGroup, rate: number }, or a single-condition
+ *                        rule { attribute: string, operator: string, value: string, rate: number }
+ * @returns {boolean} - True if the span matches the rule
+ */
+function matchesRule(item, rule) {
+  if (rule.match) {
+    return matchesConditionGroup(item, rule.match);
+  }
+  return matchesCondition(item, rule);
+}
+
+/**
+ * Check whether every condition in a rule uses exact matching
+ * @param {Object} rule - Rule object in either format
+ * @returns {boolean} - True if the rule only contains `equals` conditions
+ */
+function isExactMatchRule(rule) {
+  const allEquals = node => Array.isArray(node.conditions)
+    ? node.conditions.length > 0 && node.conditions.every(allEquals)
+    : node.operator === 'equals';
+
+  return rule.match ? allEquals(rule.match) : allEquals(rule);
+}
+
+/**
+ * Check whether head sampling can enforce a rule, i.e. it only uses transaction-level attributes
+ * @param {Object} rule - Rule object in either format
+ * @returns {boolean} - True if every condition uses an attribute from HEAD_SAMPLING_ATTRIBUTES
+ */
+function isHeadSamplingRule(rule) {
+  const usesTraceAttributes = node => Array.isArray(node.conditions)
+    ? node.conditions.every(usesTraceAttributes)
+    : HEAD_SAMPLING_ATTRIBUTES.includes(node.attribute);
+
+  return rule.match ? usesTraceAttributes(rule.match) : usesTraceAttributes(rule);
+}
+
+/**
+ * Order rules by specificity: exact-match rules first, otherwise keeping their relative order
+ * @param {Array} rules - Array of rule objects
+ * @returns {Array} - New array sorted by specificity
+ */
+function sortRulesBySpecificity(rules) {
+  return [...rules].sort((a, b) => {
+    // Prefer exact matches over contains
+    const aExact = isExactMatchRule(a);
+    const bExact = isExactMatchRule(b);
+    if (aExact && !bExact) return -1;
+    if (bExact && !aExact) return 1;
+    return 0;
+  });
+}
+
+/**
+ * Build a short label describing a rule's conditions
+ * @param {Object} rule - Rule object in either format
+ * @returns {string} - Label (e.g. "span.op:http.client AND (environment:prod OR environment:staging)")
+ */
+function describeRule(rule) {
+  const describeNode = (node, nested) => {
+    if (!Array.isArray(node.conditions)) {
+      return `${node.attribute}:${node.value}`;
+    }
+    const label = node.conditions
+      .map(child => describeNode(child, true))
+      .join(node.logic === 'or' ? ' OR ' : ' AND ');
+    return nested && node.conditions.length > 1 ? `(${label})` : label;
+  };
+
+  return rule.match ? describeNode(rule.match, false) : describeNode(rule, false);
+}
+
+/**
+ * Apply a target sampling rate to a span group that the SDK already samples at its current client rate
+ * Stored counts only represent the currently sampled fraction of traffic, and server-side sampling can
+ * lower the effective rate but never raise it above the client rate without SDK changes
+ * @param {number} count - Stored span count for the group
+ * @param {number} targetRate - Desired sampling rate of the original traffic (0-1)
+ * @param {number|null} currentRate - Current client sample rate (0-1), or null if unknown (treated as 1.0)
+ * @param {number} expansionFactor - Multiplier for projected usage
+ * @returns {Object} - { simulatedCount, effectiveRate, exceedsCurrentRate }
+ */
+function applySamplingRate(count, targetRate, currentRate, expansionFactor) {
+  const knownRate = typeof currentRate === 'number' && currentRate > 0 ? currentRate : null;
+  
+  if (knownRate === null) {
+    return {
+      simulatedCount: count * targetRate * expansionFactor,
+      effectiveRate: targetRate,
+      exceedsCurrentRate: false,
+    };
+  }
+  
+  const effectiveRate = Math.min(targetRate, knownRate);
+  return {
+    simulatedCount: count * (effectiveRate / knownRate) * expansionFactor,
+    effectiveRate: effectiveRate,
+    exceedsCurrentRate: targetRate > knownRate,
+  };
+}
+
 /**
  * Simulate sampling rates on raw span data
- * @param {Array} rawData - Array of span objects with all attributes
- * @param {Array} rules - Array of rule objects: [{ attribute: string, operator: string, value: string, rate: number }, ...]
+ * @param {Array} rawData - Array of span objects with all attributes (and optional clientSampleRate)
+ * @param {Array} rules - Array of rule objects: [{ match: conditionGroup, rate: number }, ...] (single-condition rules are also accepted)
  * @param {number} expansionFactor - Multiplier for projected usage (default: 1.0)
  * @param {number} globalRate - Global default sampling rate (default: 1.0)
  * @param {number} days - Number of days in the query period (for monthly projection)
+ * @param {Object} options - Optional simulation options
+ * @param {boolean} options.autoSortBySpecificity - Check exact-match rules before other rules (default: false, rules are checked in the given order)
+ * @param {boolean} options.traceAware - Simulate SDK head sampling: only rules on transaction-level attributes apply,
+ *   so every span in a transaction gets the same rate; other rules are skipped and reported (default: false)
  * @returns {Object} - Result object with totals, breakdown, and monthly projections
  */
-function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.0, days = 30) {
+function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.0, days = 30, options = {}) {
   if (!Array.isArray(rawData) || rawData.length === 0) {
     return {
       totalRawCount: 0,
@@ -61,6 +194,9 @@ function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.
       costReduction: 0,
       monthlyRawCount: 0,
       monthlySimulatedCount: 0,
+      cappedGroupCount: 0,
+      unenforceableRules: [],
+      ignoredRuleGroupCount: 0,
     };
   }
 
@@ -84,42 +220,57 @@ function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.
   // Process each span group
   const breakdown = [];
   let totalSimulatedCount = 0;
+  let cappedGroupCount = 0;
+  let ignoredRuleGroupCount = 0;
 
-  // Sort rules by specificity (more specific rules first)
-  // Rules with more specific attributes or operators should be checked first
-  const sortedRules = [...rules].sort((a, b) => {
-    // Prefer exact matches over contains
-    if (a.operator === 'equals' && b.operator !== 'equals') return -1;
-    if (b.operator === 'equals' && a.operator !== 'equals') return 1;
-    return 0;
-  });
+  // Rules are checked in priority order (first match wins) unless specificity sorting is opted into
+  const orderedRules = options.autoSortBySpecificity ? sortRulesBySpecificity(rules) : rules;
+  // Head sampling decides once per trace, so only transaction-level rules can take effect
+  const unenforceableRules = options.traceAware ? orderedRules.filter(rule => !isHeadSamplingRule(rule)) : [];
 
   rawData.forEach(item => {
     const count = item.count || 0;
     
-    // Find the first matching rule (most specific)
+    // Find the first matching rule (highest priority)
     let matchedRule = null;
+    let ignoredRule = null;
     let samplingRate = globalRate;
 
-    for (const rule of sortedRules) {
+    for (const rule of orderedRules) {
       if (matchesRule(item, rule)) {
+        if (unenforceableRules.includes(rule)) {
+          // Remember the rule that would have won per span, then keep looking for one the SDK can enforce
+          ignoredRule = ignoredRule || rule;
+          continue;
+        }
         matchedRule = rule;
         samplingRate = rule.rate / 100; // Convert percentage to decimal
         break; // Use first matching rule
       }
     }
+    if (ignoredRule) {
+      ignoredRuleGroupCount++;
+    }
 
-    // Calculate simulated count (assuming current rate is 1.0, so we apply the new rate)
-    const simulatedCount = count * samplingRate * expansionFactor;
+    // Calculate simulated count relative to the rate the SDK already samples this group at
+    const currentRate = item.clientSampleRate !== undefined ? item.clientSampleRate : null;
+    const { simulatedCount, effectiveRate, exceedsCurrentRate } = applySamplingRate(count, samplingRate, currentRate, expansionFactor);
     totalSimulatedCount += simulatedCount;
+    if (exceedsCurrentRate) {
+      cappedGroupCount++;
+    }
 
     // Store breakdown with all relevant attributes
     breakdown.push({
       ...item,
       rawCount: count,
       simulatedCount: simulatedCount,
-      samplingRate: samplingRate,
-      matchedRule: matchedRule ? `${matchedRule.attribute}:${matchedRule.value}` : 'global',
+      currentRate: currentRate,
+      targetRate: samplingRate,
+      samplingRate: effectiveRate,
+      exceedsCurrentRate: exceedsCurrentRate,
+      matchedRule: matchedRule ? describeRule(matchedRule) : 'global',
+      ignoredRule: ignoredRule ? describeRule(ignoredRule) : null,
     });
   });
 
@@ -127,19 +278,30 @@ function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.
   // we need to account for them in the simulated count
   // Apply the global rate and expansion factor to the missing spans
   if (hasMissingSpans) {
-    const missingSimulatedCount = missingSpans * globalRate * expansionFactor;
+    // The remainder's client rate is unknown, so assume the fetched groups' average weighted by span count
+    const knownRateGroups = rawData.filter(item => typeof item.clientSampleRate === 'number' && item.clientSampleRate > 0);
+    const knownRateCount = knownRateGroups.reduce((sum, item) => sum + (item.count || 0), 0);
+    const missingCurrentRate = knownRateCount > 0
+      ? knownRateGroups.reduce((sum, item) => sum + (item.count || 0) * item.clientSampleRate, 0) / knownRateCount
+      : null;
+    const missing = applySamplingRate(missingSpans, globalRate, missingCurrentRate, expansionFactor);
+    const missingSimulatedCount = missing.simulatedCount;
     totalSimulatedCount += missingSimulatedCount;
     
-    console.log(`Accounting for ${missingSpans.toLocaleString()} missing spans (not in top 100 groups)`);
+    console.log(`Accounting for ${missingSpans.toLocaleString()} missing spans (not in the ${rawData.length} fetched groups)`);
     
     // Optionally add a breakdown entry for missing spans
     breakdown.push({
       'span.op': '(other)',
-      'span.description': `Other spans (${missingSpans.toLocaleString()} spans not in top 100 groups)`,
+      'span.description': `Other spans (${missingSpans.toLocaleString()} spans not in the top ${rawData.length} groups)`,
       rawCount: missingSpans,
       simulatedCount: missingSimulatedCount,
-      samplingRate: globalRate,
+      currentRate: missingCurrentRate,
+      targetRate: globalRate,
+      samplingRate: missing.effectiveRate,
+      exceedsCurrentRate: missing.exceedsCurrentRate,
       matchedRule: 'global',
+      ignoredRule: null,
     });
   }
 
@@ -161,9 +323,146 @@ function simulateSampling(rawData, rules, expansionFactor = 1.0, globalRate = 1.
     costReduction: Math.max(0, costReduction),
     monthlyRawCount: monthlyRawCount,
     monthlySimulatedCount: monthlySimulatedCount,
+    cappedGroupCount: cappedGroupCount,
+    unenforceableRules: unenforceableRules.map(describeRule),
+    ignoredRuleGroupCount: ignoredRuleGroupCount,
   };
 }
 
+/**
+ * Sum a simulation breakdown per project
+ * Only meaningful for data fetched from several projects at once, where each group carries its project slug
+ * @param {Object} result - Result object from simulateSampling
+ * @returns {Array} - Rows sorted by raw count: [{ project, rawCount, simulatedCount, costReduction }]
+ *   The "(other)" remainder, which can't be attributed to a project, is reported as project null
+ */
+function summarizeByProject(result) {
+  const totals = new Map();
+  result.breakdown.forEach(item => {
+    const project = item.project !== undefined ? item.project : null;
+    const row = totals.get(project) || { project: project, rawCount: 0, simulatedCount: 0 };
+    row.rawCount += item.rawCount;
+    row.simulatedCount += item.simulatedCount;
+    totals.set(project, row);
+  });
+
+  return Array.from(totals.values())
+    .map(row => ({
+      ...row,
+      costReduction: row.rawCount > 0 ? Math.max(0, ((row.rawCount - row.simulatedCount) / row.rawCount) * 100) : 0,
+    }))
+    .sort((a, b) => b.rawCount - a.rawCount);
+}
+
+/**
+ * Line up the breakdowns of several simulations of the same span data, group by group
+ * simulateSampling keeps the input order (with "(other)" last), so rows align by index
+ * @param {Array} results - Array of simulateSampling results run against the same rawData
+ * @returns {Array} - Rows: { item, rawCount, rates: [number], simulatedCounts: [number], matchedRules: [string], differs: boolean }
+ */
+function buildComparisonDiff(results) {
+  if (!results || results.length === 0) {
+    return [];
+  }
+
+  return results[0].breakdown.map((item, index) => {
+    const entries = results.map(result => result.breakdown[index] || {});
+    const rates = entries.map(entry => entry.samplingRate);
+    // Rates are compared with a small tolerance so float noise isn't reported as disagreement
+    const differs = rates.some(rate => Math.abs(rate - rates[0]) > 1e-9);
+
+    return {
+      item: item,
+      rawCount: item.rawCount,
+      rates: rates,
+      simulatedCounts: entries.map(entry => entry.simulatedCount),
+      matchedRules: entries.map(entry => entry.matchedRule),
+      differs: differs,
+    };
+  });
+}
+
+/**
+ * Apply a simulation result to span counts over time
+ * Each series keeps the overall simulated/raw ratio of its span.op in the simulation breakdown,
+ * and the "Other" series gets the ratio of everything not covered by a named series
+ * @param {Object} timeSeries - { series: [{ group, isOther, points: [{ timestamp, count }] }] } from fetchSpanTimeSeries
+ * @param {Object} result - Result object from simulateSampling for the same period
+ * @returns {Array} - Points in time order: [{ timestamp, rawCount, simulatedCount }]
+ */
+function simulateTimeSeries(timeSeries, result) {
+  const overallRatio = result.totalRawCount > 0 ? result.totalSimulatedCount / result.totalRawCount : 1;
+
+  // Sum the breakdown per span.op so every named series gets the rates its groups were simulated at
+  const totalsByGroup = new Map();
+  result.breakdown.forEach(item => {
+    const key = item['span.op'] || '';
+    const totals = totalsByGroup.get(key) || { rawCount: 0, simulatedCount: 0 };
+    totals.rawCount += item.rawCount;
+    totals.simulatedCount += item.simulatedCount;
+    totalsByGroup.set(key, totals);
+  });
+
+  let namedRawCount = 0;
+  let namedSimulatedCount = 0;
+  const ratios = timeSeries.series.map(series => {
+    const totals = series.isOther ? null : totalsByGroup.get(series.group || '');
+    if (!totals || totals.rawCount === 0) {
+      return null;
+    }
+    namedRawCount += totals.rawCount;
+    namedSimulatedCount += totals.simulatedCount;
+    return totals.simulatedCount / totals.rawCount;
+  });
+
+  const remainingRawCount = result.totalRawCount - namedRawCount;
+  const otherRatio = remainingRawCount > 0
+    ? Math.max(0, result.totalSimulatedCount - namedSimulatedCount) / remainingRawCount
+    : overallRatio;
+
+  const pointsByTimestamp = new Map();
+  timeSeries.series.forEach((series, index) => {
+    const ratio = ratios[index] !== null ? ratios[index] : otherRatio;
+    series.points.forEach(point => {
+      const total = pointsByTimestamp.get(point.timestamp) || { timestamp: point.timestamp, rawCount: 0, simulatedCount: 0 };
+      total.rawCount += point.count;
+      total.simulatedCount += point.count * ratio;
+      pointsByTimestamp.set(point.timestamp, total);
+    });
+  });
+
+  return Array.from(pointsByTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Convert a Sentry statsPeriod string to a number of days
+ * @param {string} period - Relative period such as "14d", "12h" or "2w"
+ * @returns {number} - Length of the period in days
+ */
+function parseStatsPeriod(period) {
+  const match = /^(\d+)([hdw])$/.exec((period || '').trim().toLowerCase());
+  if (!match || parseInt(match[1], 10) === 0) {
+    throw new Error(`Invalid period "${period}". Use a number followed by h, d or w (e.g. 12h, 14d, 2w).`);
+  }
+  const amount = parseInt(match[1], 10);
+  const daysPerUnit = { h: 1 / 24, d: 1, w: 7 };
+  return amount * daysPerUnit[match[2]];
+}
+
+/**
+ * Describe a relative query period for labels
+ * @param {number} days - Length of the period in days (may be fractional)
+ * @returns {string} - Label (e.g. "Last 30 days", "Last 12 hours")
+ */
+function formatPeriodLabel(days) {
+  if (days < 1) {
+    const hours = Math.round(days * 24);
+    return `Last ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  const rounded = Math.round(days * 10) / 10;
+  return `Last ${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+}
+
 /**
  * Format large numbers for display
  * @param {number} num - Number to format
@@ -0,0 +1,137 @@
+/**
+ * Cost Model Module
+ * Converts projected monthly span volumes into dollar costs using reserved volume,
+ * tiered reserved pricing and pay-as-you-go overage
+ */
+
+// chrome.storage.local key holding the pricing configuration
+const STORAGE_KEY_PRICING = 'pricingConfig';
+
+/**
+ * Get the default pricing configuration
+ * Prices are placeholders - enter the values from your Sentry contract
+ * @returns {Object} - Pricing configuration object
+ */
+function getDefaultPricingConfig() {
+  return {
+    billingPeriod: 'monthly', // 'monthly' or 'annual'
+    reservedVolume: 0, // Spans per month paid for up front
+    // Graduated pricing for reserved volume; the last tier has no upper bound (upTo: null)
+    tiers: [
+      { upTo: 100000000, pricePerMillion: 1.5 },
+      { upTo: 1000000000, pricePerMillion: 1.0 },
+      { upTo: null, pricePerMillion: 0.75 },
+    ],
+    paygPricePerMillion: 2.0, // Price for spans above the reserved volume
+  };
+}
+
+/**
+ * Calculate the cost of a volume using graduated tiers
+ * Each tier's price applies only to the spans that fall inside that tier
+ * @param {number} volume - Span volume
+ * @param {Array} tiers - Array of tiers: [{ upTo: number|null, pricePerMillion: number }, ...] in ascending order
+ * @returns {number} - Cost in dollars
+ */
+function calculateTieredCost(volume, tiers) {
+  let remaining = Math.max(0, volume);
+  let previousLimit = 0;
+  let cost = 0;
+
+  for (const tier of tiers) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const tierSize = tier.upTo === null || tier.upTo === undefined
+      ? remaining
+      : Math.max(0, tier.upTo - previousLimit);
+    const spansInTier = Math.min(remaining, tierSize);
+
+    cost += (spansInTier / 1000000) * tier.pricePerMillion;
+    remaining -= spansInTier;
+    previousLimit = tier.upTo || previousLimit;
+  }
+
+  // Volume beyond the last bounded tier is billed at that tier's price
+  if (remaining > 0 && tiers.length > 0) {
+    cost += (remaining / 1000000) * tiers[tiers.length - 1].pricePerMillion;
+  }
+
+  return cost;
+}
+
+/**
+ * Calculate the monthly cost of a span volume
+ * Reserved volume is paid in full whether it is used or not; usage above it is billed pay-as-you-go
+ * @param {number} monthlyVolume - Projected monthly span volume
+ * @param {Object} pricing - Pricing configuration object
+ * @returns {Object} - { reservedCost, overageCost, totalCost } in dollars per month
+ */
+function calculateMonthlyCost(monthlyVolume, pricing) {
+  const reservedVolume = Math.max(0, pricing.reservedVolume || 0);
+  const reservedCost = calculateTieredCost(reservedVolume, pricing.tiers || []);
+  const overageVolume = Math.max(0, monthlyVolume - reservedVolume);
+  const overageCost = (overageVolume / 1000000) * (pricing.paygPricePerMillion || 0);
+
+  return {
+    reservedCost: reservedCost,
+    overageCost: overageCost,
+    totalCost: reservedCost + overageCost,
+  };
+}
+
+/**
+ * Compare baseline and optimized costs for a simulation result
+ * @param {Object} result - Result object from simulateSampling (uses monthlyRawCount/monthlySimulatedCount)
+ * @param {Object} pricing - Pricing configuration object
+ * @returns {Object} - { baselineCost, optimizedCost, savings, savingsPercent, periodMonths } per billing period
+ */
+function calculateCostComparison(result, pricing) {
+  const periodMonths = pricing.billingPeriod === 'annual' ? 12 : 1;
+  const baseline = calculateMonthlyCost(result.monthlyRawCount, pricing);
+  const optimized = calculateMonthlyCost(result.monthlySimulatedCount, pricing);
+
+  const baselineCost = baseline.totalCost * periodMonths;
+  const optimizedCost = optimized.totalCost * periodMonths;
+  const savings = baselineCost - optimizedCost;
+
+  return {
+    baselineCost: baselineCost,
+    optimizedCost: optimizedCost,
+    savings: savings,
+    savingsPercent: baselineCost > 0 ? (savings / baselineCost) * 100 : 0,
+    periodMonths: periodMonths,
+  };
+}
+
+/**
+ * Load the saved pricing configuration
+ * @returns {Promise<Object>} - Pricing configuration object (defaults if none saved)
+ */
+async function loadPricingConfig() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_PRICING);
+  return { ...getDefaultPricingConfig(), ...(stored[STORAGE_KEY_PRICING] || {}) };
+}
+
+/**
+ * Save the pricing configuration
+ * @param {Object} pricing - Pricing configuration object
+ */
+async function savePricingConfig(pricing) {
+  await chrome.storage.local.set({ [STORAGE_KEY_PRICING]: pricing });
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number} amount - Amount in dollars
+ * @returns {string} - Formatted string (e.g., "$1,234.56", "$1.2M")
+ */
+function formatCurrency(amount) {
+  const sign = amount < 0 ? '-' : '';
+  const absolute = Math.abs(amount);
+  if (absolute >= 1000000) {
+    return `${sign}$${(absolute / 1000000).toFixed(2)}M`;
+  }
+  return `${sign}$${absolute.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
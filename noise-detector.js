@@ -0,0 +1,138 @@
+/**
+ * Noise Detection Module
+ * Spots high-volume, low-value span groups (health checks, static assets, ...) and proposes rules for them
+ */
+
+// Patterns below this share of the total span volume aren't worth a rule
+const NOISE_MIN_SHARE = 0.001;
+
+/**
+ * Get the known noise patterns
+ * Each pattern is a condition group in the rule format, matched with the same logic as the simulator
+ * @returns {Array<Object>} - [{ id, label, description, rate (0-100), match: { logic, conditions } }]
+ */
+function getNoisePatterns() {
+  const healthPath = '(^|[\\s/])(health|healthz|healthcheck|health-check|ready|readyz|readiness|live|livez|liveness|ping)(/|\\?|$)';
+  return [
+    {
+      id: 'health-checks',
+      label: 'Health checks',
+      description: 'Load balancer and orchestrator probes hitting health, readiness and liveness endpoints',
+      rate: 0,
+      match: {
+        logic: 'or',
+        conditions: [
+          { attribute: 'transaction', operator: 'regex', value: healthPath },
+          { attribute: 'span.description', operator: 'regex', value: healthPath },
+        ],
+      },
+    },
+    {
+      id: 'static-assets',
+      label: 'Static assets',
+      description: 'Browser resource loads and requests for scripts, stylesheets, images and fonts',
+      rate: 10,
+      match: {
+        logic: 'or',
+        conditions: [
+          { attribute: 'span.op', operator: 'starts_with', value: 'resource.' },
+          { attribute: 'span.description', operator: 'regex', value: '\\.(js|mjs|css|map|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|eot)(\\?|$)' },
+        ],
+      },
+    },
+    {
+      id: 'db-pings',
+      label: 'Database pings',
+      description: 'Connection checks such as SELECT 1 and PING sent by connection pools',
+      rate: 1,
+      match: {
+        logic: 'and',
+        conditions: [
+          { attribute: 'span.op', operator: 'starts_with', value: 'db' },
+          { attribute: 'span.description', operator: 'regex', value: '^\\s*(select\\s+1|ping)\\s*;?\\s*$' },
+        ],
+      },
+    },
+    {
+      id: 'options-requests',
+      label: 'OPTIONS requests',
+      description: 'CORS preflight requests, both incoming and outgoing',
+      rate: 0,
+      match: {
+        logic: 'or',
+        conditions: [
+          { attribute: 'transaction.method', operator: 'equals', value: 'OPTIONS' },
+          { attribute: 'span.action', operator: 'equals', value: 'OPTIONS' },
+          { attribute: 'span.description', operator: 'starts_with', value: 'OPTIONS ' },
+        ],
+      },
+    },
+    {
+      id: 'not-modified',
+      label: 'Not-modified responses',
+      description: 'HTTP 304 responses for content the client already has cached',
+      rate: 10,
+      match: {
+        logic: 'and',
+        conditions: [
+          { attribute: 'span.status_code', operator: 'equals', value: '304' },
+        ],
+      },
+    },
+  ];
+}
+
+/**
+ * Find noise patterns in span data and estimate what a rule for each would save
+ * Savings are measured by simulating the current rules with the suggested rule added as the top priority
+ * @param {Array} rawData - Span data passed to simulateSampling
+ * @param {Array} rules - Active rules in priority order
+ * @param {Object} settings - { expansionFactor, globalRate (0-1), days, options } as passed to simulateSampling
+ * @returns {Array<Object>} - Suggestions sorted by savings:
+ *   [{ id, label, description, rule, matchedGroupCount, matchedRawCount, share, monthlySavings }]
+ */
+function detectNoisePatterns(rawData, rules, settings) {
+  if (!Array.isArray(rawData) || rawData.length === 0) {
+    return [];
+  }
+
+  const simulate = candidateRules => simulateSampling(
+    rawData,
+    candidateRules,
+    settings.expansionFactor,
+    settings.globalRate,
+    settings.days,
+    settings.options
+  );
+  const baseline = simulate(rules);
+
+  return getNoisePatterns()
+    .map(pattern => {
+      const rule = createRule({ match: hydrateConditionGroup(pattern.match), rate: pattern.rate });
+      const matched = rawData.filter(item => matchesRule(item, rule));
+      const matchedRawCount = matched.reduce((sum, item) => sum + (item.count || 0), 0);
+      const share = baseline.totalRawCount > 0 ? matchedRawCount / baseline.totalRawCount : 0;
+      if (share < NOISE_MIN_SHARE) {
+        return null;
+      }
+
+      // Existing rules may already sample these groups down, which leaves less to save
+      const monthlySavings = baseline.monthlySimulatedCount - simulate([rule, ...rules]).monthlySimulatedCount;
+      if (monthlySavings <= 0) {
+        return null;
+      }
+
+      return {
+        id: pattern.id,
+        label: pattern.label,
+        description: pattern.description,
+        rule: rule,
+        matchedGroupCount: matched.length,
+        matchedRawCount: matchedRawCount,
+        share: share,
+        monthlySavings: monthlySavings,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.monthlySavings - a.monthlySavings);
+}
@@ -0,0 +1,144 @@
+/**
+ * Budget Rate Solver Module
+ * Finds sampling rates that bring the projected monthly span volume within a target budget
+ */
+
+// Binary search steps for the per-rule scale factor; plenty for whole-percent rates
+const RATE_SOLVER_ITERATIONS = 40;
+
+/**
+ * Read a rule's solver constraints, filling in the defaults
+ * Protected rules always stay at 100%
+ * @param {Object} rule - Rule object with optional { minRate, maxRate, protected } (0-100)
+ * @returns {Object} - { min, max, protected }
+ */
+function getRuleRateBounds(rule) {
+  if (rule.protected) {
+    return { min: 100, max: 100, protected: true };
+  }
+  const min = typeof rule.minRate === 'number' && !isNaN(rule.minRate) ? rule.minRate : 0;
+  const max = typeof rule.maxRate === 'number' && !isNaN(rule.maxRate) ? rule.maxRate : 100;
+  return { min: min, max: max, protected: false };
+}
+
+/**
+ * Check a budget and rule constraints before solving
+ * @param {number} monthlyBudget - Target monthly span volume
+ * @param {Array} rules - Active rules
+ */
+function validateRateSolverInput(monthlyBudget, rules) {
+  if (typeof monthlyBudget !== 'number' || isNaN(monthlyBudget) || monthlyBudget <= 0) {
+    throw new Error('Please enter a monthly span budget greater than 0');
+  }
+  rules.forEach((rule, index) => {
+    const { min, max } = getRuleRateBounds(rule);
+    if (min < 0 || max > 100 || min > max) {
+      throw new Error(`Rule ${index + 1} (${describeRule(rule)}): rate limits must satisfy 0 ≤ min ≤ max ≤ 100`);
+    }
+  });
+}
+
+/**
+ * Solve for the highest whole-percent global rate whose projection stays within the budget
+ * Rules keep their rates; only spans that no rule matches follow the global rate
+ * @param {Array} rawData - Span data passed to simulateSampling
+ * @param {Array} rules - Active rules in priority order
+ * @param {number} monthlyBudget - Target monthly span volume
+ * @param {Object} settings - { expansionFactor, days, options } as passed to simulateSampling
+ * @returns {Object} - { globalRate (0-100), result, withinBudget }
+ */
+function solveGlobalRateForBudget(rawData, rules, monthlyBudget, settings) {
+  validateRateSolverInput(monthlyBudget, []);
+  const simulate = rate => simulateSampling(rawData, rules, settings.expansionFactor, rate / 100, settings.days, settings.options);
+
+  // The projection never decreases as the rate goes up, so search the 0-100 range
+  let low = 0;
+  let high = 100;
+  let lowResult = simulate(low);
+  if (lowResult.monthlySimulatedCount > monthlyBudget) {
+    return { globalRate: 0, result: lowResult, withinBudget: false };
+  }
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const midResult = simulate(mid);
+    if (midResult.monthlySimulatedCount <= monthlyBudget) {
+      low = mid;
+      lowResult = midResult;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { globalRate: low, result: lowResult, withinBudget: true };
+}
+
+/**
+ * Solve for per-rule rates whose projection stays within the budget
+ * Unprotected rules are scaled by one common factor relative to their current rates, so their relative
+ * order is kept, and each rate is clamped to the rule's min/max; protected rules are set to 100%.
+ * The global rate stays as it is. Rates are rounded down to whole percents.
+ * @param {Array} rawData - Span data passed to simulateSampling
+ * @param {Array} rules - Active rules in priority order, with optional { minRate, maxRate, protected }
+ * @param {number} monthlyBudget - Target monthly span volume
+ * @param {Object} settings - { expansionFactor, globalRate (0-1), days, options } as passed to simulateSampling
+ * @returns {Object} - { rates: { [ruleId]: rate }, result, withinBudget }
+ *   withinBudget is false when even every rule at its minimum exceeds the budget (rates are then the minimums)
+ */
+function solveRuleRatesForBudget(rawData, rules, monthlyBudget, settings) {
+  validateRateSolverInput(monthlyBudget, rules);
+  const bounds = rules.map(getRuleRateBounds);
+
+  // Rules at 0% would never move when scaled, so they start from the full range instead
+  const getRates = scale => rules.map((rule, index) => {
+    const { min, max } = bounds[index];
+    const base = rule.rate > 0 ? rule.rate : 100;
+    return Math.min(max, Math.max(min, Math.floor(base * scale)));
+  });
+  const simulate = rates => simulateSampling(
+    rawData,
+    rules.map((rule, index) => ({ ...rule, rate: rates[index] })),
+    settings.expansionFactor,
+    settings.globalRate,
+    settings.days,
+    settings.options
+  );
+  const toRateMap = rates => Object.fromEntries(rules.map((rule, index) => [rule.id, rates[index]]));
+
+  const minRates = getRates(0);
+  const minResult = simulate(minRates);
+  if (minResult.monthlySimulatedCount > monthlyBudget) {
+    return { rates: toRateMap(minRates), result: minResult, withinBudget: false };
+  }
+
+  // Beyond this scale every rule sits at its maximum
+  const maxScale = rules.reduce((largest, rule, index) => {
+    const base = rule.rate > 0 ? rule.rate : 100;
+    return Math.max(largest, bounds[index].max / base);
+  }, 0);
+
+  let low = 0;
+  let high = maxScale;
+  let bestRates = minRates;
+  let bestResult = minResult;
+  for (let i = 0; i < RATE_SOLVER_ITERATIONS; i++) {
+    const mid = (low + high) / 2;
+    const rates = getRates(mid);
+    const result = simulate(rates);
+    if (result.monthlySimulatedCount <= monthlyBudget) {
+      low = mid;
+      bestRates = rates;
+      bestResult = result;
+    } else {
+      high = mid;
+    }
+  }
+
+  // The search never tries the upper end itself, so check whether everything at its maximum still fits
+  const maxRates = getRates(maxScale);
+  const maxResult = simulate(maxRates);
+  if (maxResult.monthlySimulatedCount <= monthlyBudget) {
+    return { rates: toRateMap(maxRates), result: maxResult, withinBudget: true };
+  }
+
+  return { rates: toRateMap(bestRates), result: bestResult, withinBudget: true };
+}
@@ -0,0 +1,219 @@
+/**
+ * Rule Set File Module
+ * Versioned JSON format for sharing rule sets between people and extension installs
+ */
+
+// Identifies rule set files written by this extension
+const RULE_SET_FORMAT = 'sentry-span-optimizer/rule-set';
+
+// Current file format version; bump it and add a migration when the format changes
+// - 1: single-condition rules ({ attribute, operator, value, rate })
+// - 2: rules match a condition group ({ match: { logic, conditions }, rate })
+const RULE_SET_VERSION = 2;
+
+// Migrations from each older version to the next one
+const RULE_SET_MIGRATIONS = {
+  1: data => ({
+    ...data,
+    version: 2,
+    rules: (data.rules || []).map(rule => {
+      if (!rule || typeof rule !== 'object' || rule.match) {
+        return rule;
+      }
+      const { attribute, operator, value, ...rest } = rule;
+      return { ...rest, match: { logic: 'and', conditions: [{ attribute, operator: operator || 'contains', value }] } };
+    }),
+  }),
+};
+
+/**
+ * Strip editor-only fields (IDs) from a condition group
+ * @param {Object} group - Condition group
+ * @returns {Object} - Plain { logic, conditions } tree
+ */
+function toRuleSetConditionGroup(group) {
+  return {
+    logic: group.logic === 'or' ? 'or' : 'and',
+    conditions: group.conditions.map(node => (isConditionGroup(node)
+      ? toRuleSetConditionGroup(node)
+      : { attribute: node.attribute, operator: node.operator || 'contains', value: node.value })),
+  };
+}
+
+/**
+ * Build a rule set file object from the current configuration
+ * @param {Object} config - { rules, globalRate (0-100), expansionFactor, autoSortBySpecificity, traceAware }
+ * @param {Object} metadata - { name, author } (optional)
+ * @returns {Object} - Rule set file object, ready for JSON.stringify
+ */
+function buildRuleSetFile(config, metadata = {}) {
+  return {
+    format: RULE_SET_FORMAT,
+    version: RULE_SET_VERSION,
+    metadata: {
+      name: metadata.name || '',
+      author: metadata.author || '',
+      createdAt: new Date().toISOString(),
+    },
+    globalRate: config.globalRate,
+    expansionFactor: config.expansionFactor,
+    autoSortBySpecificity: !!config.autoSortBySpecificity,
+    traceAware: !!config.traceAware,
+    rules: config.rules.map(rule => ({
+      rate: rule.rate,
+      match: toRuleSetConditionGroup(normalizeRule(rule).match),
+    })),
+  };
+}
+
+/**
+ * Bring a rule set file object up to the current version
+ * Files without a version are treated as version 1
+ * @param {Object} data - Parsed rule set file
+ * @returns {Object} - Rule set file object at RULE_SET_VERSION
+ */
+function migrateRuleSet(data) {
+  let migrated = { ...data, version: data.version === undefined ? 1 : data.version };
+  if (!Number.isInteger(migrated.version) || migrated.version < 1) {
+    throw new Error(`Unsupported rule set version: ${migrated.version}`);
+  }
+  if (migrated.version > RULE_SET_VERSION) {
+    throw new Error(`This rule set was written by a newer version of the extension (format version ${migrated.version}). Please update the extension to import it.`);
+  }
+
+  while (migrated.version < RULE_SET_VERSION) {
+    migrated = RULE_SET_MIGRATIONS[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Validate a condition group from a rule set file
+ * @param {*} group - Condition group to check
+ * @param {string} path - Position used in messages (e.g. "Rule 2" or "Rule 2, condition 3")
+ * @param {Array<string>} errors - Collected error messages (appended to)
+ */
+function validateRuleSetConditionGroup(group, path, errors) {
+  if (!group || typeof group !== 'object' || !Array.isArray(group.conditions)) {
+    errors.push(`${path}: missing conditions`);
+    return;
+  }
+  if (group.logic !== 'and' && group.logic !== 'or') {
+    errors.push(`${path}: logic must be "and" or "or"`);
+  }
+  if (group.conditions.length === 0) {
+    errors.push(`${path}: needs at least one condition`);
+  }
+
+  const attributes = getSpanAttributes().map(attr => attr.value);
+  const operators = getRuleOperators().map(op => op.value);
+
+  group.conditions.forEach((node, index) => {
+    const nodePath = path.includes('condition') ? `${path}.${index + 1}` : `${path}, condition ${index + 1}`;
+    if (node && Array.isArray(node.conditions)) {
+      validateRuleSetConditionGroup(node, nodePath, errors);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      errors.push(`${nodePath}: not a condition`);
+      return;
+    }
+    if (!attributes.includes(node.attribute)) {
+      errors.push(`${nodePath}: unknown attribute "${node.attribute}" (expected one of ${attributes.join(', ')})`);
+    }
+    if (!operators.includes(node.operator)) {
+      errors.push(`${nodePath}: unknown operator "${node.operator}" (expected one of ${operators.join(', ')})`);
+    }
+    if (typeof node.value !== 'string' || node.value.trim() === '') {
+      errors.push(`${nodePath}: value must be a non-empty string`);
+    } else if (node.operator === 'regex') {
+      try {
+        new RegExp(node.value);
+      } catch (e) {
+        errors.push(`${nodePath}: invalid regex "${node.value}" (${e.message})`);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a rule set file object at the current version
+ * @param {Object} data - Migrated rule set file object
+ * @returns {Array<string>} - Error messages, empty when the rule set is valid
+ */
+function validateRuleSet(data) {
+  const errors = [];
+  const isNumberInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+  if (data.globalRate !== undefined && !isNumberInRange(data.globalRate, 0, 100)) {
+    errors.push('globalRate must be a number between 0 and 100');
+  }
+  if (data.expansionFactor !== undefined && !isNumberInRange(data.expansionFactor, 1, 100)) {
+    errors.push('expansionFactor must be a number between 1 and 100');
+  }
+  if (data.traceAware !== undefined && typeof data.traceAware !== 'boolean') {
+    errors.push('traceAware must be true or false');
+  }
+  if (!Array.isArray(data.rules)) {
+    errors.push('rules must be an array');
+    return errors;
+  }
+
+  data.rules.forEach((rule, index) => {
+    const path = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${path}: not a rule object`);
+      return;
+    }
+    if (!isNumberInRange(rule.rate, 0, 100)) {
+      errors.push(`${path}: rate must be a number between 0 and 100`);
+    }
+    validateRuleSetConditionGroup(rule.match, path, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Parse, migrate and validate the text of a rule set file
+ * Validation errors are thrown together; the thrown Error has an `errors` array with one message per problem
+ * @param {string} text - File contents
+ * @returns {Object} - { rules, globalRate, expansionFactor, autoSortBySpecificity, traceAware, metadata, migratedFrom }
+ *   traceAware is false for files written before it was exported
+ */
+function parseRuleSetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Rule set file is not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Rule set file must contain a JSON object');
+  }
+  if (data.format !== undefined && data.format !== RULE_SET_FORMAT) {
+    throw new Error(`Unrecognized file format "${data.format}"`);
+  }
+
+  const originalVersion = data.version === undefined ? 1 : data.version;
+  const migrated = migrateRuleSet(data);
+  const errors = validateRuleSet(migrated);
+  if (errors.length > 0) {
+    const error = new Error(`Rule set file has ${errors.length} problem(s)`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return {
+    rules: migrated.rules.map(rule => createRule({
+      rate: rule.rate,
+      match: hydrateConditionGroup(rule.match),
+    })),
+    globalRate: migrated.globalRate,
+    expansionFactor: migrated.expansionFactor,
+    autoSortBySpecificity: migrated.autoSortBySpecificity,
+    traceAware: !!migrated.traceAware,
+    metadata: migrated.metadata || {},
+    migratedFrom: originalVersion < RULE_SET_VERSION ? originalVersion : null,
+  };
+}
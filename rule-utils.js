@@ -3,27 +3,141 @@
  * Shared functions for managing sampling rules
  */
 
+// Counter appended to generated IDs so items created in the same millisecond stay unique
+let generatedIdCounter = 0;
+
 /**
- * Create a new rule with default values
- * @param {Object} defaults - Default values for the rule
- * @returns {Object} - New rule object
+ * Generate a unique ID for rules, conditions and condition groups
+ * @returns {string} - Unique ID
  */
-function createRule(defaults = {}) {
+function generateId() {
+  generatedIdCounter++;
+  return `${Date.now()}-${generatedIdCounter}`;
+}
+
+/**
+ * Create a new single condition
+ * @param {Object} defaults - Default values: { attribute, operator, value }
+ * @returns {Object} - New condition object
+ */
+function createCondition(defaults = {}) {
   return {
-    id: Date.now(),
+    id: generateId(),
     attribute: defaults.attribute || 'span.op',
     operator: defaults.operator || 'contains',
     value: defaults.value || '',
-    rate: defaults.rate || 100,
   };
 }
 
+/**
+ * Create a new condition group
+ * @param {string} logic - How the group's conditions combine: 'and' or 'or'
+ * @param {Array} conditions - Conditions and/or nested groups
+ * @returns {Object} - New condition group object
+ */
+function createConditionGroup(logic = 'and', conditions = []) {
+  return {
+    id: generateId(),
+    logic: logic === 'or' ? 'or' : 'and',
+    conditions: conditions,
+  };
+}
+
+/**
+ * Check whether a condition node is a group (as opposed to a single condition)
+ * @param {Object} node - Condition or condition group
+ * @returns {boolean} - True if the node is a condition group
+ */
+function isConditionGroup(node) {
+  return !!node && Array.isArray(node.conditions);
+}
+
+/**
+ * Give a plain condition group (e.g. from a file or a suggestion) the IDs the rule editor needs
+ * @param {Object} group - Plain { logic, conditions } tree
+ * @returns {Object} - Condition group with IDs
+ */
+function hydrateConditionGroup(group) {
+  return createConditionGroup(group.logic, group.conditions.map(node => (isConditionGroup(node)
+    ? hydrateConditionGroup(node)
+    : createCondition(node))));
+}
+
+/**
+ * Create a new rule with default values
+ * The rule matches when its root condition group matches
+ * @param {Object} defaults - Default values for the rule ({ attribute, operator, value } seed the first condition)
+ * @returns {Object} - New rule object: { id, match, rate }
+ */
+function createRule(defaults = {}) {
+  return {
+    id: generateId(),
+    match: defaults.match || createConditionGroup('and', [createCondition(defaults)]),
+    rate: defaults.rate !== undefined ? defaults.rate : 100,
+  };
+}
+
+/**
+ * Convert a rule to the condition group format
+ * Older single-condition rules ({ attribute, operator, value, rate }) are wrapped in an AND group
+ * @param {Object} rule - Rule object in either format
+ * @returns {Object} - Rule object with a `match` condition group
+ */
+function normalizeRule(rule) {
+  if (isConditionGroup(rule.match)) {
+    return rule;
+  }
+
+  const { attribute, operator, value, ...rest } = rule;
+  return {
+    ...rest,
+    id: rule.id || generateId(),
+    match: createConditionGroup('and', [createCondition({ attribute, operator, value })]),
+    rate: rule.rate !== undefined ? rule.rate : 100,
+  };
+}
+
+/**
+ * Copy a condition group, keeping only conditions that have a value
+ * Nested groups left without conditions are dropped
+ * @param {Object} group - Condition group
+ * @returns {Object|null} - Pruned copy of the group, or null if nothing is left
+ */
+function getActiveConditionGroup(group) {
+  const conditions = group.conditions
+    .map(node => {
+      if (isConditionGroup(node)) {
+        return getActiveConditionGroup(node);
+      }
+      return node.attribute && node.value && node.value.trim() !== '' ? node : null;
+    })
+    .filter(Boolean);
+
+  return conditions.length > 0 ? { ...group, conditions } : null;
+}
+
+/**
+ * Visit every single condition in a condition group, including nested groups
+ * @param {Object} group - Condition group
+ * @param {Function} callback - Called with each condition
+ */
+function forEachCondition(group, callback) {
+  group.conditions.forEach(node => {
+    if (isConditionGroup(node)) {
+      forEachCondition(node, callback);
+    } else {
+      callback(node);
+    }
+  });
+}
+
 /**
  * Get available span attributes for rule selection
+ * @param {Array<string>} groupBy - Optional attributes the span data was grouped by; others are left out
  * @returns {Array<Object>} - Array of attribute objects with value and label
  */
-function getSpanAttributes() {
-  return [
+function getSpanAttributes(groupBy = null) {
+  const attributes = [
     { value: 'span.op', label: 'span.op' },
     { value: 'span.description', label: 'span.description' },
     { value: 'span.status', label: 'span.status' },
@@ -38,10 +152,46 @@ function getSpanAttributes() {
     { value: 'environment', label: 'environment' },
     { value: 'release', label: 'release' },
   ];
+  return Array.isArray(groupBy) ? attributes.filter(attr => groupBy.includes(attr.value)) : attributes;
+}
+
+/**
+ * Get the span attributes a rule's conditions use that the span data wasn't grouped by
+ * Every group has an empty value for those attributes, so conditions on them never match
+ * @param {Object} rule - Rule object
+ * @param {Array<string>} groupBy - Attributes the span data was grouped by (null for all)
+ * @returns {Array<string>} - Ungrouped attributes, without duplicates
+ */
+function getUngroupedRuleAttributes(rule, groupBy) {
+  if (!Array.isArray(groupBy)) {
+    return [];
+  }
+  const ungrouped = new Set();
+  forEachCondition(normalizeRule(rule).match, condition => {
+    if (condition.attribute && !groupBy.includes(condition.attribute)) {
+      ungrouped.add(condition.attribute);
+    }
+  });
+  return Array.from(ungrouped);
+}
+
+/**
+ * Get available match operators for rule conditions
+ * @returns {Array<Object>} - Array of operator objects with value and label
+ */
+function getRuleOperators() {
+  return [
+    { value: 'contains', label: 'Contains' },
+    { value: 'equals', label: 'Equals' },
+    { value: 'starts_with', label: 'Starts With' },
+    { value: 'ends_with', label: 'Ends With' },
+    { value: 'regex', label: 'Regex' },
+  ];
 }
 
 /**
  * Get unique values for a given span attribute from the fetched data
+ * Attributes the data wasn't grouped by (spanData._groupBy) have no values
  * @param {Array} spanData - Array of span data objects
  * @param {string} attribute - The span attribute to get values for
  * @param {number} maxResults - Maximum number of results to return (default: 200)
@@ -52,6 +202,10 @@ function getUniqueValuesForAttribute(spanData, attribute, maxResults = 200) {
     console.log('No span data available for autocomplete');
     return [];
   }
+  if (Array.isArray(spanData._groupBy) && !spanData._groupBy.includes(attribute)) {
+    console.log(`Span data wasn't grouped by ${attribute}, no values for autocomplete`);
+    return [];
+  }
 
   const values = new Set();
   let count = 0;
@@ -0,0 +1,171 @@
+/**
+ * Scenario Management Utilities
+ * Save, load and organize named rule configurations in extension storage
+ */
+
+// chrome.storage.local key holding the saved scenarios array
+const STORAGE_KEY_SCENARIOS = 'scenarios';
+
+/**
+ * Load all saved scenarios
+ * @returns {Promise<Array>} - Array of scenario objects, sorted by name
+ */
+async function loadScenarios() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_SCENARIOS);
+  const scenarios = stored[STORAGE_KEY_SCENARIOS] || [];
+  return scenarios
+    .map(({ project, ...scenario }) => ({
+      ...scenario,
+      rules: (scenario.rules || []).map(normalizeRule),
+      // Scenarios saved before multi-project selection stored a single project slug
+      projects: scenario.projects || (project ? [project] : []),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Persist the full scenarios array
+ * @param {Array} scenarios - Array of scenario objects
+ */
+async function saveScenarios(scenarios) {
+  await chrome.storage.local.set({ [STORAGE_KEY_SCENARIOS]: scenarios });
+}
+
+/**
+ * Create a scenario object from the current configuration
+ * Rules are deep-copied so later edits in the editor don't change the saved scenario
+ * @param {string} name - Scenario name
+ * @param {Object} config - { rules, globalRate, expansionFactor, autoSortBySpecificity, traceAware, orgSlug, projects, days,
+ *   timeRange, query }; timeRange is { days } plus statsPeriod for a custom period or start/end (ISO 8601) for custom dates
+ * @returns {Object} - New scenario object
+ */
+function createScenario(name, config) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId(),
+    name: name,
+    rules: JSON.parse(JSON.stringify(config.rules || [])),
+    globalRate: config.globalRate !== undefined ? config.globalRate : 100,
+    expansionFactor: config.expansionFactor || 1,
+    autoSortBySpecificity: !!config.autoSortBySpecificity,
+    traceAware: !!config.traceAware,
+    orgSlug: config.orgSlug || '',
+    projects: [...(config.projects || [])],
+    days: config.days || 30,
+    // Scenarios saved before custom periods only have days
+    timeRange: config.timeRange ? { ...config.timeRange } : { days: config.days || 30 },
+    query: config.query || '',
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Validate a scenario name against the existing scenarios
+ * @param {Array} scenarios - Existing scenarios
+ * @param {string} name - Proposed name
+ * @param {string} ignoreId - Optional scenario ID to ignore (when renaming/updating)
+ * @returns {string} - The trimmed name
+ */
+function validateScenarioName(scenarios, name, ignoreId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Please enter a scenario name');
+  }
+  const duplicate = scenarios.find(s => s.id !== ignoreId && s.name.toLowerCase() === trimmed.toLowerCase());
+  if (duplicate) {
+    throw new Error(`A scenario named "${duplicate.name}" already exists`);
+  }
+  return trimmed;
+}
+
+/**
+ * Save the current configuration as a new named scenario
+ * @param {string} name - Scenario name
+ * @param {Object} config - Current configuration (see createScenario)
+ * @returns {Promise<Object>} - The saved scenario
+ */
+async function addScenario(name, config) {
+  const scenarios = await loadScenarios();
+  const scenario = createScenario(validateScenarioName(scenarios, name), config);
+  await saveScenarios([...scenarios, scenario]);
+  return scenario;
+}
+
+/**
+ * Overwrite an existing scenario with the current configuration, keeping its name
+ * @param {string} scenarioId - Scenario ID
+ * @param {Object} config - Current configuration (see createScenario)
+ * @returns {Promise<Object>} - The updated scenario
+ */
+async function updateScenario(scenarioId, config) {
+  const scenarios = await loadScenarios();
+  const existing = scenarios.find(s => s.id === scenarioId);
+  if (!existing) {
+    throw new Error('Scenario not found');
+  }
+
+  const updated = {
+    ...createScenario(existing.name, config),
+    id: existing.id,
+    createdAt: existing.createdAt,
+  };
+  await saveScenarios(scenarios.map(s => (s.id === scenarioId ? updated : s)));
+  return updated;
+}
+
+/**
+ * Rename a scenario
+ * @param {string} scenarioId - Scenario ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - The renamed scenario
+ */
+async function renameScenario(scenarioId, name) {
+  const scenarios = await loadScenarios();
+  const existing = scenarios.find(s => s.id === scenarioId);
+  if (!existing) {
+    throw new Error('Scenario not found');
+  }
+
+  const renamed = {
+    ...existing,
+    name: validateScenarioName(scenarios, name, scenarioId),
+    updatedAt: new Date().toISOString(),
+  };
+  await saveScenarios(scenarios.map(s => (s.id === scenarioId ? renamed : s)));
+  return renamed;
+}
+
+/**
+ * Duplicate a scenario under a new "(copy)" name
+ * @param {string} scenarioId - Scenario ID
+ * @returns {Promise<Object>} - The new scenario
+ */
+async function duplicateScenario(scenarioId) {
+  const scenarios = await loadScenarios();
+  const existing = scenarios.find(s => s.id === scenarioId);
+  if (!existing) {
+    throw new Error('Scenario not found');
+  }
+
+  // Find a free "(copy)", "(copy 2)", ... name
+  let copyName = `${existing.name} (copy)`;
+  let copyNumber = 2;
+  while (scenarios.some(s => s.name.toLowerCase() === copyName.toLowerCase())) {
+    copyName = `${existing.name} (copy ${copyNumber})`;
+    copyNumber++;
+  }
+
+  const copy = createScenario(copyName, existing);
+  await saveScenarios([...scenarios, copy]);
+  return copy;
+}
+
+/**
+ * Delete a scenario
+ * @param {string} scenarioId - Scenario ID
+ */
+async function deleteScenario(scenarioId) {
+  const scenarios = await loadScenarios();
+  await saveScenarios(scenarios.filter(s => s.id !== scenarioId));
+}
@@ -0,0 +1,327 @@
+/**
+ * SDK Code Generation Module
+ * Turns simulated sampling rules into ready-to-paste SDK sampler functions
+ */
+
+/**
+ * How each rule attribute can be evaluated when the SDK makes its sampling decision
+ * - 'transaction': known for the root span being sampled
+ * - 'root_span': only the root span's value is known, child spans are not sampled separately
+ * - 'init_option': not in the sampling context, read from a constant matching Sentry.init
+ * - 'unavailable': only known after the span finished, so conditions on it never match
+ */
+const SAMPLER_ATTRIBUTE_SUPPORT = {
+  'transaction': 'transaction',
+  'transaction.op': 'transaction',
+  'transaction.method': 'transaction',
+  'span.op': 'root_span',
+  'environment': 'init_option',
+  'release': 'init_option',
+  'span.description': 'unavailable',
+  'span.status': 'unavailable',
+  'span.status_code': 'unavailable',
+  'span.domain': 'unavailable',
+  'span.action': 'unavailable',
+  'span.module': 'unavailable',
+  'span.system': 'unavailable',
+};
+
+/**
+ * Strip editor-only fields (IDs) from a condition group for embedding in generated code
+ * @param {Object} group - Condition group
+ * @returns {Object} - Plain { logic, conditions } tree with trimmed values
+ */
+function serializeConditionGroup(group) {
+  return {
+    logic: group.logic === 'or' ? 'or' : 'and',
+    conditions: group.conditions.map(node => (isConditionGroup(node)
+      ? serializeConditionGroup(node)
+      : { attribute: node.attribute, operator: node.operator || 'contains', value: node.value.trim() })),
+  };
+}
+
+/**
+ * Collect warnings about rule attributes that the SDK can't fully evaluate at sampling time
+ * @param {Array} rules - Active rules in the condition group format
+ * @returns {Array<string>} - Warning messages
+ */
+function getSamplerExportWarnings(rules) {
+  const usedAttributes = new Set();
+  rules.forEach(rule => forEachCondition(rule.match, condition => usedAttributes.add(condition.attribute)));
+
+  const warnings = [];
+  usedAttributes.forEach(attribute => {
+    const support = SAMPLER_ATTRIBUTE_SUPPORT[attribute] || 'unavailable';
+    if (support === 'unavailable') {
+      warnings.push(`${attribute} is not known when the SDK samples a trace, so conditions on it never match in the SDK.`);
+    } else if (support === 'root_span') {
+      warnings.push(`${attribute} is only evaluated for the root span (transaction) in the SDK; child spans follow their trace's decision.`);
+    } else if (support === 'init_option') {
+      warnings.push(`${attribute} is not in the sampling context; set the generated constant to the value passed to sentry init.`);
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Build the header comment lines describing the exported rules
+ * @param {Array} rules - Active rules in the condition group format
+ * @param {number} globalRate - Global default sampling rate (0-1)
+ * @param {Array<string>} warnings - Warnings to include
+ * @returns {Array<string>} - Comment text lines (without comment markers)
+ */
+function buildSamplerHeaderLines(rules, globalRate, warnings) {
+  const lines = [
+    `Generated by Sentry Span Optimizer on ${new Date().toISOString().slice(0, 10)}`,
+    'Rules are checked in order and the first match wins; otherwise the default rate applies.',
+    '',
+  ];
+  rules.forEach((rule, index) => {
+    lines.push(`Rule ${index + 1}: ${describeRule(rule)} -> ${rule.rate}%`);
+  });
+  lines.push(`Default: ${(globalRate * 100).toFixed(1).replace(/\.0$/, '')}%`);
+
+  if (warnings.length > 0) {
+    lines.push('');
+    lines.push('Warnings:');
+    warnings.forEach(warning => lines.push(`- ${warning}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Generate a JavaScript tracesSampler for @sentry/browser or @sentry/node
+ * The generated matcher mirrors matchesRule: case-insensitive, trimmed values, regex with the 'i' flag,
+ * and conditions on missing attributes never match
+ * @param {Array} rules - Active rules in the condition group format, in priority order
+ * @param {number} globalRate - Global default sampling rate (0-1)
+ * @returns {Object} - { code: string, warnings: Array<string> }
+ */
+function generateJavaScriptSampler(rules, globalRate) {
+  const warnings = getSamplerExportWarnings(rules);
+  const header = buildSamplerHeaderLines(rules, globalRate, warnings)
+    .map(line => (line ? `// ${line}` : '//'))
+    .join('\n');
+
+  const samplingRules = rules.map(rule => ({
+    rate: rule.rate / 100,
+    match: serializeConditionGroup(rule.match),
+  }));
+  const rulesJson = JSON.stringify(samplingRules, null, 2);
+
+  const code = `${header}
+
+const SAMPLING_RULES = ${rulesJson};
+
+const DEFAULT_SAMPLE_RATE = ${globalRate};
+
+// Not part of the sampling context - keep these in sync with the options passed to Sentry.init
+const ENVIRONMENT = undefined;
+const RELEASE = undefined;
+
+function getSamplingAttribute(samplingContext, attribute) {
+  const attributes = samplingContext.attributes || {};
+  // SDK v7 passes the root span details in transactionContext
+  const transactionContext = samplingContext.transactionContext || {};
+
+  switch (attribute) {
+    case 'transaction':
+      return samplingContext.name || transactionContext.name;
+    case 'transaction.op':
+    case 'span.op':
+      return attributes['sentry.op'] || transactionContext.op;
+    case 'transaction.method':
+      return attributes['http.request.method'] || attributes['http.method'];
+    case 'environment':
+      return ENVIRONMENT;
+    case 'release':
+      return RELEASE;
+    default:
+      // Only known after the span finished
+      return undefined;
+  }
+}
+
+function matchesCondition(samplingContext, condition) {
+  const value = getSamplingAttribute(samplingContext, condition.attribute);
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+
+  const spanValue = String(value).toLowerCase();
+  const ruleValue = condition.value.toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals':
+      return spanValue === ruleValue;
+    case 'starts_with':
+      return spanValue.startsWith(ruleValue);
+    case 'ends_with':
+      return spanValue.endsWith(ruleValue);
+    case 'regex':
+      try {
+        return new RegExp(condition.value, 'i').test(String(value));
+      } catch (e) {
+        return false;
+      }
+    default:
+      return spanValue.includes(ruleValue);
+  }
+}
+
+function matchesGroup(samplingContext, group) {
+  if (group.conditions.length === 0) {
+    return false;
+  }
+  const matchesNode = node => (node.conditions
+    ? matchesGroup(samplingContext, node)
+    : matchesCondition(samplingContext, node));
+  return group.logic === 'or'
+    ? group.conditions.some(matchesNode)
+    : group.conditions.every(matchesNode);
+}
+
+function tracesSampler(samplingContext) {
+  // Keep distributed traces complete by following the upstream decision
+  if (typeof samplingContext.parentSampled === 'boolean') {
+    return samplingContext.parentSampled;
+  }
+
+  for (const rule of SAMPLING_RULES) {
+    if (matchesGroup(samplingContext, rule.match)) {
+      return rule.rate;
+    }
+  }
+  return DEFAULT_SAMPLE_RATE;
+}
+
+// Sentry.init({
+//   dsn: '...',
+//   tracesSampler,
+// });
+`;
+
+  return { code, warnings };
+}
+
+/**
+ * Generate a Python traces_sampler for sentry_sdk.init (Django, FastAPI, Flask, ...)
+ * The generated matcher mirrors matchesRule: case-insensitive, trimmed values, case-insensitive regex search,
+ * and conditions on missing attributes never match
+ * @param {Array} rules - Active rules in the condition group format, in priority order
+ * @param {number} globalRate - Global default sampling rate (0-1)
+ * @returns {Object} - { code: string, warnings: Array<string> }
+ */
+function generatePythonSampler(rules, globalRate) {
+  const warnings = getSamplerExportWarnings(rules);
+  const usesRegex = rules.some(rule => {
+    let found = false;
+    forEachCondition(rule.match, condition => {
+      found = found || condition.operator === 'regex';
+    });
+    return found;
+  });
+  if (usesRegex) {
+    warnings.push('Regex conditions run with Python\'s re module; JavaScript-only syntax (e.g. named groups as (?<name>...)) behaves differently.');
+  }
+
+  const header = buildSamplerHeaderLines(rules, globalRate, warnings)
+    .map(line => (line ? `# ${line}` : '#'))
+    .join('\n');
+
+  const samplingRules = rules.map(rule => ({
+    rate: rule.rate / 100,
+    match: serializeConditionGroup(rule.match),
+  }));
+  // The rules only hold strings and numbers, so their JSON form is also a valid Python literal
+  const rulesLiteral = JSON.stringify(samplingRules, null, 4);
+
+  const code = `${header}
+
+import re
+
+SAMPLING_RULES = ${rulesLiteral}
+
+DEFAULT_SAMPLE_RATE = ${globalRate}
+
+# Not part of the sampling context - keep these in sync with the options passed to sentry_sdk.init
+ENVIRONMENT = None
+RELEASE = None
+
+
+def _get_sampling_attribute(sampling_context, attribute):
+    transaction_context = sampling_context.get("transaction_context") or {}
+
+    if attribute == "transaction":
+        return transaction_context.get("name")
+    if attribute in ("transaction.op", "span.op"):
+        return transaction_context.get("op")
+    if attribute == "transaction.method":
+        # ASGI frameworks (FastAPI, Starlette) pass the scope, WSGI frameworks (Django, Flask) the environ
+        asgi_scope = sampling_context.get("asgi_scope") or {}
+        wsgi_environ = sampling_context.get("wsgi_environ") or {}
+        return asgi_scope.get("method") or wsgi_environ.get("REQUEST_METHOD")
+    if attribute == "environment":
+        return ENVIRONMENT
+    if attribute == "release":
+        return RELEASE
+    # Only known after the span finished
+    return None
+
+
+def _matches_condition(sampling_context, condition):
+    value = _get_sampling_attribute(sampling_context, condition["attribute"])
+    if value is None or value == "":
+        return False
+
+    span_value = str(value).lower()
+    rule_value = condition["value"].lower()
+    operator = condition["operator"]
+
+    if operator == "equals":
+        return span_value == rule_value
+    if operator == "starts_with":
+        return span_value.startswith(rule_value)
+    if operator == "ends_with":
+        return span_value.endswith(rule_value)
+    if operator == "regex":
+        try:
+            return re.search(condition["value"], str(value), re.IGNORECASE) is not None
+        except re.error:
+            return False
+    return rule_value in span_value
+
+
+def _matches_group(sampling_context, group):
+    if not group["conditions"]:
+        return False
+    results = (
+        _matches_group(sampling_context, node) if "conditions" in node
+        else _matches_condition(sampling_context, node)
+        for node in group["conditions"]
+    )
+    return any(results) if group["logic"] == "or" else all(results)
+
+
+def traces_sampler(sampling_context):
+    # Keep distributed traces complete by following the upstream decision
+    parent_sampled = sampling_context.get("parent_sampled")
+    if parent_sampled is not None:
+        return float(parent_sampled)
+
+    for rule in SAMPLING_RULES:
+        if _matches_group(sampling_context, rule["match"]):
+            return rule["rate"]
+    return DEFAULT_SAMPLE_RATE
+
+
+# sentry_sdk.init(
+#     dsn="...",
+#     traces_sampler=traces_sampler,
+# )
+`;
+
+  return { code, warnings };
+}
@@ -22,6 +22,20 @@ function hideError(errorElement) {
   errorElement.classList.add('hidden');
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Sync rule values from DOM inputs
  * @param {Array} rules - Array of rule objects
@@ -31,32 +45,71 @@ function hideError(errorElement) {
  * @param {string} rateSelector - Selector for rate slider
  */
 function syncRuleValuesFromDOM(rules, valueSelector, attributeSelector, operatorSelector, rateSelector) {
-  rules.forEach(rule => {
-    const valueInput = document.querySelector(`${valueSelector}[data-rule-id="${rule.id}"]`);
-    const rateSlider = document.querySelector(`${rateSelector}[data-rule-id="${rule.id}"]`);
-    
-    if (valueInput) rule.value = valueInput.value.trim();
-    if (rateSlider) rule.rate = parseFloat(rateSlider.value);
+  // Sync a single condition (or single-condition rule) from inputs tagged with the given data attribute
+  const syncCondition = (condition, idAttribute) => {
+    const valueInput = document.querySelector(`${valueSelector}[${idAttribute}="${condition.id}"]`);
+    if (valueInput) condition.value = valueInput.value.trim();
     
     if (attributeSelector) {
-      const attributeSelect = document.querySelector(`${attributeSelector}[data-rule-id="${rule.id}"]`);
-      if (attributeSelect) rule.attribute = attributeSelect.value;
+      const attributeSelect = document.querySelector(`${attributeSelector}[${idAttribute}="${condition.id}"]`);
+      if (attributeSelect) condition.attribute = attributeSelect.value;
     }
     
     if (operatorSelector) {
-      const operatorSelect = document.querySelector(`${operatorSelector}[data-rule-id="${rule.id}"]`);
-      if (operatorSelect) rule.operator = operatorSelect.value;
+      const operatorSelect = document.querySelector(`${operatorSelector}[${idAttribute}="${condition.id}"]`);
+      if (operatorSelect) condition.operator = operatorSelect.value;
+    }
+  };
+  
+  rules.forEach(rule => {
+    const rateSlider = document.querySelector(`${rateSelector}[data-rule-id="${rule.id}"]`);
+    if (rateSlider) rule.rate = parseFloat(rateSlider.value);
+    
+    if (rule.match) {
+      forEachCondition(rule.match, condition => syncCondition(condition, 'data-condition-id'));
+    } else {
+      syncCondition(rule, 'data-rule-id');
     }
   });
 }
 
 /**
  * Filter active rules (rules with values)
+ * Condition groups are pruned down to the conditions that have values
  * @param {Array} rules - Array of rule objects
  * @returns {Array} - Filtered array of active rules
  */
 function getActiveRules(rules) {
-  return rules.filter(rule => rule.value && rule.value.trim() !== '' && rule.attribute);
+  return rules
+    .map(rule => {
+      if (!rule.match) {
+        return rule.value && rule.value.trim() !== '' && rule.attribute ? rule : null;
+      }
+      const match = getActiveConditionGroup(rule.match);
+      return match ? { ...rule, match } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Describe how long ago a timestamp was
+ * @param {number} timestamp - Time in milliseconds since the epoch
+ * @returns {string} - Relative time (e.g. "just now", "5 minutes ago", "2 hours ago")
+ */
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days} ${days === 1 ? 'day' : 'days'} ago`;
 }
 
 /**
@@ -64,8 +117,9 @@ function getActiveRules(rules) {
  * @param {Object} result - Calculation result object
  * @param {Object} elements - Object containing DOM elements for results
  * @param {number} currentDays - Current query period in days
+ * @param {string} periodLabel - Optional period label (e.g. "Sep 1 – Sep 30"); defaults to "Last N days"
  */
-function updateResultsDisplay(result, elements, currentDays) {
+function updateResultsDisplay(result, elements, currentDays, periodLabel = null) {
   const {
     baselineCountEl,
     optimizedCountEl,
@@ -80,9 +134,10 @@ function updateResultsDisplay(result, elements, currentDays) {
     monthlyOptimizedDesc
   } = elements;
 
+  const periodText = periodLabel || formatPeriodLabel(currentDays);
+
   // Update period descriptions with clear labels
   if (baselinePeriodDesc && optimizedPeriodDesc) {
-    const periodText = currentDays === 7 ? 'Last 7 days' : currentDays === 30 ? 'Last 30 days' : 'Last 90 days';
     baselinePeriodDesc.textContent = `${periodText} (actual)`;
     optimizedPeriodDesc.textContent = `${periodText} (with rules)`;
   }
@@ -96,7 +151,6 @@ function updateResultsDisplay(result, elements, currentDays) {
     } else {
       // Show monthly projections with multiplier explanation
       const multiplier = (30 / currentDays).toFixed(2);
-      const periodText = currentDays === 7 ? 'Last 7 days' : 'Last 90 days';
       monthlyBaselineCard.style.display = 'block';
       monthlyOptimizedCard.style.display = 'block';
       if (monthlyBaselineDesc && monthlyOptimizedDesc) {
@@ -161,3 +215,64 @@ function showResultsSection(resultsSection) {
   resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+
+/**
+ * Render a line chart of baseline vs simulated span volume over time as inline SVG
+ * @param {HTMLElement} container - Element to render the chart into
+ * @param {Array} points - Points in time order: [{ timestamp (seconds), rawCount, simulatedCount }]
+ * @param {string} interval - Bucket size of the points ('1d' or '1h')
+ */
+function renderTimeSeriesChart(container, points, interval) {
+  if (!points || points.length === 0) {
+    container.innerHTML = '<p class="help-text">No time series data available for this period.</p>';
+    return;
+  }
+
+  const width = 720;
+  const height = 220;
+  const padding = { top: 12, right: 12, bottom: 28, left: 56 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const maxCount = Math.max(...points.map(point => point.rawCount), 1);
+
+  const x = index => padding.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = count => padding.top + plotHeight - (count / maxCount) * plotHeight;
+  const toPolyline = key => points.map((point, index) => `${x(index).toFixed(1)},${y(point[key]).toFixed(1)}`).join(' ');
+  const formatTime = timestamp => {
+    const date = new Date(timestamp * 1000);
+    return interval === '1h'
+      ? date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' })
+      : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  };
+
+  // Label roughly six evenly spaced buckets on the x axis
+  const labelStep = Math.max(1, Math.ceil(points.length / 6));
+  const xLabels = points
+    .map((point, index) => (index % labelStep === 0
+      ? `<text x="${x(index).toFixed(1)}" y="${height - 8}" text-anchor="middle">${formatTime(point.timestamp)}</text>`
+      : ''))
+    .join('');
+
+  // Invisible hover targets carry a tooltip per bucket
+  const hoverTargets = points.map((point, index) => `
+    <circle cx="${x(index).toFixed(1)}" cy="${y(point.rawCount).toFixed(1)}" r="6" class="chart-hover-target">
+      <title>${formatTime(point.timestamp)}: ${formatNumber(point.rawCount)} baseline, ${formatNumber(Math.round(point.simulatedCount))} simulated</title>
+    </circle>`).join('');
+
+  container.innerHTML = `
+    <svg class="time-series-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Baseline and simulated span volume over time">
+      <line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" class="chart-axis" />
+      <line x1="${padding.left}" y1="${y(maxCount)}" x2="${width - padding.right}" y2="${y(maxCount)}" class="chart-gridline" />
+      <text x="${padding.left - 6}" y="${y(maxCount) + 4}" text-anchor="end">${formatNumber(maxCount)}</text>
+      <text x="${padding.left - 6}" y="${padding.top + plotHeight + 4}" text-anchor="end">0</text>
+      ${xLabels}
+      <polyline points="${toPolyline('rawCount')}" class="chart-line chart-line-baseline" />
+      <polyline points="${toPolyline('simulatedCount')}" class="chart-line chart-line-simulated" />
+      ${hoverTargets}
+    </svg>
+    <div class="chart-legend">
+      <span class="chart-legend-item chart-legend-baseline">Baseline</span>
+      <span class="chart-legend-item chart-legend-simulated">Simulated</span>
+    </div>
+  `;
+}